@@ -0,0 +1,786 @@
+/**
+ * Board Layouts
+ * Loads and validates the JSON description of a machine (size, nails, walls,
+ * pockets, lottery, colours, launcher); boards/default.json is the classic board
+ */
+
+import { getMaterial } from './materials.js';
+import { FORCE_FIELD_TYPES, FALLOFFS } from './forces.js';
+import { NAIL_PATTERN_TYPES } from './nails.js';
+
+export const BOARD_VERSION = 3;
+export const DEFAULT_BOARD_URL = new URL('../boards/default.json', import.meta.url);
+
+// Palette used for any colour a board leaves out
+export const DEFAULT_COLORS = {
+    frame: [0.15, 0.1, 0.05],      // Dark wood
+    backBoard: [0.08, 0.08, 0.12], // Dark blue-black
+    pin: [0.9, 0.7, 0.2],          // Gold
+    ball: [0.95, 0.95, 0.98],      // Silver
+    ballStripe: [0.45, 0.45, 0.5], // Darker band so spin is visible
+    slot: [0.8, 0.2, 0.2],         // Red
+    jackpot: [1.0, 0.84, 0.0],     // Gold
+    divider: [0.6, 0.6, 0.65],     // Silver gray
+    rail: [0.75, 0.75, 0.8],       // Polished steel
+    deflector: [0.3, 0.5, 0.85],   // Blue plastic
+    wall: [0.15, 0.1, 0.05],       // Same wood as the frame
+    launcher: [0.3, 0.3, 0.35],
+    wind: [0.15, 0.3, 0.4],        // Force field indicators, dim against the back board
+    windArrow: [0.5, 0.8, 1.0],
+    attractor: [0.4, 0.15, 0.4],
+    repulsor: [0.45, 0.3, 0.1],
+    damping: [0.15, 0.3, 0.2],
+    windmill: [0.9, 0.35, 0.6],    // Pink
+    tulip: [0.95, 0.3, 0.35],      // Red petals
+    startPocket: [0.3, 0.65, 0.95],
+    attacker: [1.0, 0.6, 0.1]
+};
+
+// Material of each board component (presets from materials.js) where a board leaves it out
+export const DEFAULT_MATERIALS = {
+    ball: 'steel',
+    frame: 'wood',
+    glass: 'glass',
+    pins: 'brass',
+    rails: 'steel',
+    deflectors: 'plastic',
+    walls: 'wood',
+    windmills: 'plastic',
+    tulips: 'plastic',
+    dividers: 'plastic',
+    floor: 'felt'
+};
+
+const WIDTH_TOLERANCE = 1e-6; // Pocket widths may be rounded in the file
+const NAIL_GAP_MARGIN = 0.04;  // Generated nails keep a ball's width plus this between them unless minGap is given
+
+// Fields of each nail pattern type besides type and jitter
+const NAIL_PATTERN_FIELDS = {
+    grid: ['x', 'y', 'width', 'height', 'rowSpacing', 'colSpacing', 'stagger'],
+    heaven: ['x', 'y', 'gap', 'count', 'spacing', 'rise'],
+    road: ['x', 'y', 'width', 'height', 'gap', 'spacing'],
+    windmill: ['windmill', 'radius', 'from', 'to', 'spacing'],
+    lane: ['side', 'width', 'bottom', 'top', 'spacing'],
+    scatter: ['x', 'y', 'width', 'height', 'count']
+};
+
+// Launch speed up the tube for boards that leave it out. On a 12 high board balls slower than about
+// 20 units/s fall back as fouls, and the fastest reach the far left
+const LAUNCH_BASE_VELOCITY = 18;
+const LAUNCH_POWER_VELOCITY = 12;
+
+const BOARD_FIELDS = [
+    'version', 'name', 'description', 'size', 'frame', 'ball', 'colors', 'nails', 'windmills',
+    'rails', 'deflectors', 'walls', 'tulips', 'startPocket', 'attacker', 'lottery', 'pockets', 'launcher',
+    'forceFields', 'materials'
+];
+
+export class BoardError extends Error {
+    /**
+     * @param {string} source - File or URL the board came from
+     * @param {string[]} problems - One message per problem, each starting with the field path
+     */
+    constructor(source, problems) {
+        super(`Invalid board ${source}:\n  - ${problems.join('\n  - ')}`);
+        this.name = 'BoardError';
+        this.source = source;
+        this.problems = problems;
+    }
+}
+
+/**
+ * Fetch, parse and validate a board file
+ * @param {string|URL} [url] - Board JSON; file: URLs are read from disk (Node)
+ * @returns {Promise<Object>} Validated board
+ */
+export async function loadBoard(url = DEFAULT_BOARD_URL) {
+    const source = String(url);
+    let text;
+    try {
+        if (source.startsWith('file:')) {
+            // Node's fetch() does not read local files
+            const { readFile } = await import('node:fs/promises');
+            text = await readFile(new URL(source), 'utf8');
+        } else {
+            const response = await fetch(source);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            text = await response.text();
+        }
+    } catch (error) {
+        throw new BoardError(source, [`could not be loaded (${error.message})`]);
+    }
+    return parseBoard(text, source);
+}
+
+/**
+ * Parse and validate board JSON text
+ * @param {string} text
+ * @param {string} [source] - Name used in error messages
+ * @returns {Object} Validated board
+ */
+export function parseBoard(text, source = 'board') {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new BoardError(source, [`is not valid JSON (${error.message})`]);
+    }
+    return validateBoard(data, source);
+}
+
+/**
+ * Check a parsed board and fill in its optional fields
+ * Every problem found is reported at once, each with the path of the offending field
+ * @param {Object} data - Parsed board JSON
+ * @param {string} [source] - Name used in error messages
+ * @returns {Object} Board with defaults applied and colour names resolved to RGB
+ * @throws {BoardError}
+ */
+export function validateBoard(data, source = 'board') {
+    const reader = new BoardReader();
+    if (!isObject(data)) {
+        throw new BoardError(source, ['board must be a JSON object']);
+    }
+    data = upgradeBoard(data);
+    reader.fields(data, '', BOARD_FIELDS);
+
+    const version = reader.number(data, 'version', '', { integer: true });
+    if (version > BOARD_VERSION) {
+        reader.fail('version', `${version} is newer than this build supports (${BOARD_VERSION})`);
+    }
+
+    const size = reader.section(data, 'size', '');
+    reader.fields(size, 'size', ['width', 'height', 'depth']);
+    const board = {
+        version: BOARD_VERSION,
+        name: reader.string(data, 'name', '', { fallback: 'Untitled' }),
+        description: reader.string(data, 'description', '', { fallback: '' }),
+        size: {
+            width: reader.number(size, 'width', 'size', { positive: true }),
+            height: reader.number(size, 'height', 'size', { positive: true }),
+            depth: reader.number(size, 'depth', 'size', { positive: true })
+        }
+    };
+    // Positions are only range-checked against a usable size
+    reader.bounds = reader.problems.length === 0 ? board.size : null;
+
+    const frame = reader.section(data, 'frame', '', { optional: true });
+    reader.fields(frame, 'frame', ['thickness', 'wallThickness']);
+    board.frame = {
+        thickness: reader.number(frame, 'thickness', 'frame', { positive: true, fallback: 0.3 }),
+        wallThickness: reader.number(frame, 'wallThickness', 'frame', { positive: true, fallback: 0.5 })
+    };
+
+    const ball = reader.section(data, 'ball', '', { optional: true });
+    reader.fields(ball, 'ball', ['radius']);
+    board.ball = { radius: reader.number(ball, 'radius', 'ball', { positive: true, fallback: 0.18 }) };
+    if (reader.bounds && board.ball.radius * 2 >= board.size.depth) {
+        reader.fail('ball.radius', `${board.ball.radius} is too big for a board ${board.size.depth} deep`);
+    }
+
+    const colors = reader.section(data, 'colors', '', { optional: true });
+    board.colors = { ...DEFAULT_COLORS };
+    for (const name of Object.keys(colors)) {
+        board.colors[name] = reader.color(colors[name], `colors.${name}`);
+    }
+
+    board.windmills = reader.list(data, 'windmills', '', (windmill, path) => {
+        reader.fields(windmill, path, ['x', 'y', 'speed', 'phase', 'bladeCount', 'bladeLength']);
+        return {
+            ...reader.position(windmill, path),
+            speed: reader.number(windmill, 'speed', path),
+            phase: reader.number(windmill, 'phase', path, { fallback: 0 }),
+            bladeCount: reader.number(windmill, 'bladeCount', path, { integer: true, min: 1, optional: true }),
+            bladeLength: reader.number(windmill, 'bladeLength', path, { positive: true, optional: true })
+        };
+    }, { optional: true });
+    board.rails = reader.list(data, 'rails', '', (rail, path) => readRail(reader, rail, path, board.colors), { optional: true });
+    board.deflectors = reader.list(data, 'deflectors', '', (deflector, path) => {
+        reader.fields(deflector, path, ['x', 'y', 'length', 'angle', 'thickness']);
+        return {
+            ...reader.position(deflector, path),
+            length: reader.number(deflector, 'length', path, { positive: true }),
+            angle: reader.number(deflector, 'angle', path, { fallback: 0 }),
+            thickness: reader.number(deflector, 'thickness', path, { positive: true, optional: true })
+        };
+    }, { optional: true });
+    board.walls = reader.list(data, 'walls', '', (wall, path) => {
+        reader.fields(wall, path, ['x', 'y', 'width', 'height', 'angle', 'color']);
+        return {
+            ...reader.position(wall, path),
+            width: reader.number(wall, 'width', path, { positive: true }),
+            height: reader.number(wall, 'height', path, { positive: true }),
+            angle: reader.number(wall, 'angle', path, { fallback: 0 }),
+            color: reader.color(wall.color ?? 'wall', `${path}.color`, board.colors)
+        };
+    }, { optional: true });
+    board.tulips = reader.list(data, 'tulips', '', (tulip, path) => readTulip(reader, tulip, path, board), { optional: true });
+    board.startPocket = readStartPocket(reader, data, board);
+    board.attacker = readAttacker(reader, data, board);
+    board.nails = readNails(reader, data, board); // Patterns may refer to the windmills and start pocket
+    board.lottery = readLottery(reader, data, board);
+    board.pockets = readPockets(reader, data, board);
+    board.launcher = readLauncher(reader, data, board);
+    board.forceFields = reader.list(data, 'forceFields', '', (field, path) => readForceField(reader, field, path), { optional: true });
+
+    const materials = reader.section(data, 'materials', '', { optional: true });
+    board.materials = { ...DEFAULT_MATERIALS };
+    for (const component of Object.keys(materials)) {
+        const path = `materials.${component}`;
+        if (!(component in DEFAULT_MATERIALS)) {
+            reader.fail(path, `is not a board component (expected ${Object.keys(DEFAULT_MATERIALS).join(', ')})`);
+            continue;
+        }
+        try {
+            getMaterial(materials[component]);
+            board.materials[component] = materials[component];
+        } catch (error) {
+            reader.fail(path, `is invalid: ${error.message}`);
+        }
+    }
+
+    if (reader.problems.length > 0) {
+        throw new BoardError(source, reader.problems);
+    }
+    return board;
+}
+
+// Bring boards written for older versions up to date before they are checked, one version at a time
+function upgradeBoard(data) {
+    if (data.version === 1) {
+        data = upgradeToVersion2(data);
+    }
+    if (data.version === 2) {
+        data = upgradeToVersion3(data);
+    }
+    return data;
+}
+
+// Version 1 pockets paid `points`; they now pay balls into the tray, one ball per point
+function upgradeToVersion2(data) {
+    const renamePoints = (item) => {
+        if (!isObject(item) || !('points' in item)) return item;
+        const { points, ...rest } = item;
+        return { ...rest, payout: points };
+    };
+    const upgraded = { ...data, version: 2 };
+    if (isObject(data.pockets) && Array.isArray(data.pockets.slots)) {
+        upgraded.pockets = { ...data.pockets, slots: data.pockets.slots.map(renamePoints) };
+    }
+    if (Array.isArray(data.tulips)) {
+        upgraded.tulips = data.tulips.map(renamePoints);
+    }
+    for (const key of ['startPocket', 'attacker']) {
+        upgraded[key] = renamePoints(data[key]);
+    }
+    return upgraded;
+}
+
+// Version 2 launchers placed balls at a spawn point, moving sideways; they now fire up the launch tube,
+// which needs far faster balls, so the old aim, speeds and sideways jitter give way to the defaults
+function upgradeToVersion3(data) {
+    const upgraded = { ...data, version: 3 };
+    if (isObject(data.launcher)) {
+        const { position, baseVelocity, powerVelocity, horizontalFactor, verticalFactor, randomness, ...rest } = data.launcher;
+        upgraded.launcher = rest;
+    }
+    return upgraded;
+}
+
+function readNails(reader, data, board) {
+    const nails = reader.section(data, 'nails', '');
+    reader.fields(nails, 'nails', ['radius', 'positions', 'patterns', 'seed', 'minGap']);
+    const radius = reader.number(nails, 'radius', 'nails', { positive: true });
+    return {
+        radius,
+        // A board made only of patterns needs no hand-placed nails
+        positions: reader.list(nails, 'positions', 'nails', (point, path) => reader.inBounds(reader.point(point, path), path), {
+            anyItems: true,
+            optional: nails.patterns !== undefined
+        }),
+        patterns: reader.list(nails, 'patterns', 'nails', (pattern, path) => readNailPattern(reader, pattern, path, board, radius), {
+            optional: true
+        }),
+        seed: reader.number(nails, 'seed', 'nails', { integer: true, fallback: 1 }),
+        minGap: reader.number(nails, 'minGap', 'nails', { min: 0, fallback: +(board.ball.radius * 2 + NAIL_GAP_MARGIN).toFixed(4) })
+    };
+}
+
+function readNailPattern(reader, pattern, path, board, nailRadius) {
+    const type = reader.oneOf(pattern, 'type', path, NAIL_PATTERN_TYPES);
+    if (type !== pattern.type) return { type, jitter: 0 }; // Its other fields mean nothing without a known type
+    reader.fields(pattern, path, ['type', 'jitter', ...NAIL_PATTERN_FIELDS[type]]);
+    const result = { type, jitter: reader.number(pattern, 'jitter', path, { min: 0, fallback: 0 }) };
+    const ballWidth = board.ball.radius * 2;
+    // Nails side by side closer than this hold a ball between them
+    const spacing = (key, fallback) => {
+        const value = reader.number(pattern, key, path, { positive: true, fallback });
+        if (value - nailRadius * 2 <= ballWidth) {
+            reader.fail(`${path}.${key}`, `${value} leaves no room for a ball ${ballWidth} across between nails`);
+        }
+        return value;
+    };
+
+    switch (type) {
+        case 'grid':
+            return {
+                ...result,
+                ...reader.position(pattern, path),
+                width: reader.number(pattern, 'width', path, { positive: true }),
+                height: reader.number(pattern, 'height', path, { positive: true }),
+                rowSpacing: reader.number(pattern, 'rowSpacing', path, { positive: true, fallback: 0.9 }),
+                colSpacing: spacing('colSpacing', 0.7),
+                stagger: pattern.stagger !== false
+            };
+        case 'heaven': {
+            // Over the start pocket unless placed
+            let position = {};
+            if (pattern.x !== undefined || pattern.y !== undefined) {
+                position = reader.position(pattern, path);
+            } else if (!board.startPocket) {
+                reader.fail(path, 'needs x and y, or a startPocket to sit over');
+            }
+            const gap = reader.number(pattern, 'gap', path, { positive: true, fallback: 0.42 });
+            if (gap <= ballWidth) {
+                reader.fail(`${path}.gap`, `${gap} is too narrow for a ball ${ballWidth} across`);
+            }
+            return {
+                ...result,
+                ...position,
+                gap,
+                count: reader.number(pattern, 'count', path, { integer: true, min: 0, fallback: 4 }),
+                spacing: spacing('spacing', 0.7),
+                rise: reader.number(pattern, 'rise', path, { positive: true, fallback: 0.9 })
+            };
+        }
+        case 'road': {
+            const gap = reader.number(pattern, 'gap', path, { positive: true });
+            if (gap <= ballWidth) {
+                reader.fail(`${path}.gap`, `${gap} is too narrow for a ball ${ballWidth} across`);
+            }
+            return {
+                ...result,
+                ...reader.position(pattern, path),
+                width: reader.number(pattern, 'width', path, { positive: true }),
+                height: reader.number(pattern, 'height', path, { positive: true }),
+                gap,
+                spacing: reader.number(pattern, 'spacing', path, { positive: true, fallback: 0.25 })
+            };
+        }
+        case 'windmill': {
+            const index = reader.number(pattern, 'windmill', path, { integer: true, min: 0 });
+            if (Number.isInteger(index) && index >= board.windmills.length) {
+                reader.fail(`${path}.windmill`, `${index} is not a windmill (the board has ${board.windmills.length})`);
+            }
+            return {
+                ...result,
+                windmill: index,
+                radius: reader.number(pattern, 'radius', path, { positive: true, optional: true }),
+                from: reader.number(pattern, 'from', path, { fallback: 20 }),
+                to: reader.number(pattern, 'to', path, { fallback: 160 }),
+                spacing: spacing('spacing', 0.7)
+            };
+        }
+        case 'lane': {
+            const bottom = reader.number(pattern, 'bottom', path);
+            const top = reader.number(pattern, 'top', path);
+            reader.inBounds([0, bottom], `${path}.bottom`);
+            reader.inBounds([0, top], `${path}.top`);
+            if (top < bottom) {
+                reader.fail(`${path}.top`, `${top} is below bottom ${bottom}`);
+            }
+            return {
+                ...result,
+                side: reader.oneOf(pattern, 'side', path, ['left', 'right']),
+                width: reader.number(pattern, 'width', path, { positive: true, fallback: 0.45 }),
+                bottom,
+                top,
+                spacing: reader.number(pattern, 'spacing', path, { positive: true, fallback: 0.3 })
+            };
+        }
+        case 'scatter':
+            return {
+                ...result,
+                ...reader.position(pattern, path),
+                width: reader.number(pattern, 'width', path, { positive: true }),
+                height: reader.number(pattern, 'height', path, { positive: true }),
+                count: reader.number(pattern, 'count', path, { integer: true, min: 1 })
+            };
+    }
+}
+
+function readRail(reader, rail, path, colors) {
+    reader.fields(rail, path, ['path', 'thickness', 'color']);
+    let pointCount = 0;
+    const steps = reader.list(rail, 'path', path, (step, stepPath) => {
+        if (Array.isArray(step)) {
+            pointCount++;
+            return reader.point(step, stepPath);
+        }
+        if (!isObject(step)) {
+            reader.fail(stepPath, `must be an [x, y] point or an arc object, got ${describe(step)}`);
+            return [0, 0];
+        }
+        reader.fields(step, stepPath, ['center', 'radius', 'from', 'to', 'segments']);
+        pointCount += 2;
+        return {
+            center: reader.point(step.center, `${stepPath}.center`),
+            radius: reader.number(step, 'radius', stepPath, { positive: true }),
+            from: reader.number(step, 'from', stepPath),
+            to: reader.number(step, 'to', stepPath),
+            segments: reader.number(step, 'segments', stepPath, { integer: true, min: 1, optional: true })
+        };
+    }, { anyItems: true });
+    if (Array.isArray(rail.path) && pointCount < 2) {
+        reader.fail(`${path}.path`, 'needs at least two points (or an arc)');
+    }
+    return {
+        path: steps,
+        thickness: reader.number(rail, 'thickness', path, { positive: true, optional: true }),
+        color: reader.color(rail.color ?? 'rail', `${path}.color`, colors)
+    };
+}
+
+function readTulip(reader, tulip, path, board) {
+    reader.fields(tulip, path, ['x', 'y', 'payout', 'captures', 'width', 'petalLength', 'openAngle', 'color']);
+    const result = {
+        ...reader.position(tulip, path),
+        payout: reader.number(tulip, 'payout', path, { integer: true, min: 0 }),
+        captures: reader.number(tulip, 'captures', path, { integer: true, min: 1, fallback: 2 }),
+        width: reader.number(tulip, 'width', path, { positive: true, fallback: 0.5 }),
+        petalLength: reader.number(tulip, 'petalLength', path, { positive: true, fallback: 0.3 }),
+        openAngle: reader.number(tulip, 'openAngle', path, { min: 0, max: 90, fallback: 40 }),
+        color: reader.color(tulip.color ?? 'tulip', `${path}.color`, board.colors)
+    };
+    checkCupWidth(reader, result, path, board);
+    return result;
+}
+
+function readStartPocket(reader, data, board) {
+    if (data.startPocket == null) return null; // Validated boards hold null
+    const pocket = reader.section(data, 'startPocket', '');
+    reader.fields(pocket, 'startPocket', ['x', 'y', 'payout', 'width', 'postLength', 'color']);
+    const result = {
+        ...reader.position(pocket, 'startPocket'),
+        payout: reader.number(pocket, 'payout', 'startPocket', { integer: true, min: 0, fallback: 0 }),
+        width: reader.number(pocket, 'width', 'startPocket', { positive: true, fallback: 0.5 }),
+        postLength: reader.number(pocket, 'postLength', 'startPocket', { positive: true, fallback: 0.25 }),
+        color: reader.color(pocket.color ?? 'startPocket', 'startPocket.color', board.colors)
+    };
+    checkCupWidth(reader, result, 'startPocket', board);
+    return result;
+}
+
+function readAttacker(reader, data, board) {
+    if (data.attacker == null) return null;
+    const attacker = reader.section(data, 'attacker', '');
+    reader.fields(attacker, 'attacker', ['x', 'y', 'payout', 'width', 'openAngle', 'color']);
+    const result = {
+        ...reader.position(attacker, 'attacker'),
+        payout: reader.number(attacker, 'payout', 'attacker', { integer: true, min: 0 }),
+        width: reader.number(attacker, 'width', 'attacker', { positive: true, fallback: 1 }),
+        openAngle: reader.number(attacker, 'openAngle', 'attacker', { min: 0, max: 90, fallback: 30 }),
+        color: reader.color(attacker.color ?? 'attacker', 'attacker.color', board.colors)
+    };
+    checkCupWidth(reader, result, 'attacker', board);
+    if (!board.startPocket) {
+        reader.fail('attacker', 'needs a startPocket (only a lottery jackpot opens it)');
+    }
+    return result;
+}
+
+// Odds are "1 in n" spins; rates are shares from 0 to 1
+function readLottery(reader, data, board) {
+    if (!board.startPocket) {
+        if (data.lottery != null) {
+            reader.fail('lottery', 'needs a startPocket to start its spins');
+        }
+        return null;
+    }
+    const lottery = data.lottery == null ? {} : reader.section(data, 'lottery', '');
+    reader.fields(lottery, 'lottery', ['odds', 'kakuhenOdds', 'kakuhenRate', 'reachRate', 'feverTime', 'maxHeld']);
+    return {
+        odds: reader.number(lottery, 'odds', 'lottery', { min: 1, fallback: 99 }),
+        kakuhenOdds: reader.number(lottery, 'kakuhenOdds', 'lottery', { min: 1, fallback: 10 }),
+        kakuhenRate: reader.number(lottery, 'kakuhenRate', 'lottery', { min: 0, max: 1, fallback: 0.5 }),
+        reachRate: reader.number(lottery, 'reachRate', 'lottery', { min: 0, max: 1, fallback: 0.2 }),
+        feverTime: reader.number(lottery, 'feverTime', 'lottery', { positive: true, fallback: 15 }),
+        maxHeld: reader.number(lottery, 'maxHeld', 'lottery', { integer: true, min: 1, fallback: 4 })
+    };
+}
+
+function checkCupWidth(reader, cup, path, board) {
+    if (cup.width <= board.ball.radius * 2) {
+        reader.fail(`${path}.width`, `${cup.width} is too narrow to catch a ball ${board.ball.radius * 2} across`);
+    }
+}
+
+function readPockets(reader, data, board) {
+    const pockets = reader.section(data, 'pockets', '');
+    reader.fields(pockets, 'pockets', ['height', 'dividerWidth', 'slots']);
+    const result = {
+        height: reader.number(pockets, 'height', 'pockets', { positive: true }),
+        dividerWidth: reader.number(pockets, 'dividerWidth', 'pockets', { min: 0, fallback: 0.1 }),
+        slots: reader.list(pockets, 'slots', 'pockets', (slot, path) => {
+            reader.fields(slot, path, ['payout', 'color', 'width']);
+            return {
+                payout: reader.number(slot, 'payout', path, { integer: true, min: 0 }),
+                color: reader.color(slot.color ?? 'slot', `${path}.color`, board.colors),
+                width: reader.number(slot, 'width', path, { positive: true, optional: true })
+            };
+        })
+    };
+
+    if (Array.isArray(pockets.slots) && result.slots.length === 0) {
+        reader.fail('pockets.slots', 'needs at least one pocket');
+    }
+    if (reader.bounds && result.slots.length > 0) {
+        // Pockets share the width equally unless every one sets its own
+        const sized = result.slots.filter(slot => slot.width !== undefined).length;
+        if (sized === 0) {
+            for (const slot of result.slots) {
+                slot.width = board.size.width / result.slots.length;
+            }
+        } else if (sized < result.slots.length) {
+            reader.fail('pockets.slots', 'must give a width for every pocket or for none');
+        } else {
+            const total = result.slots.reduce((sum, slot) => sum + slot.width, 0);
+            if (Math.abs(total - board.size.width) > WIDTH_TOLERANCE) {
+                reader.fail('pockets.slots', `widths add up to ${+total.toFixed(4)}, not the board width ${board.size.width}`);
+            }
+        }
+
+        const narrowest = Math.min(...result.slots.map(slot => slot.width || board.size.width));
+        if (result.dividerWidth >= narrowest) {
+            reader.fail('pockets.dividerWidth', `${result.dividerWidth} leaves no room in pockets ${+narrowest.toFixed(3)} wide`);
+        }
+        if (result.height <= board.ball.radius * 2 || result.height >= board.size.height) {
+            reader.fail('pockets.height', `${result.height} must be taller than a ball and shorter than the board`);
+        }
+    }
+    return result;
+}
+
+function readLauncher(reader, data, board) {
+    const launcher = reader.section(data, 'launcher', '');
+    reader.fields(launcher, 'launcher', [
+        'baseVelocity', 'powerVelocity', 'randomness', 'tubeWidth', 'guideRadius', 'fireRate'
+    ]);
+    const result = {
+        baseVelocity: reader.number(launcher, 'baseVelocity', 'launcher', { min: 0, fallback: LAUNCH_BASE_VELOCITY }),
+        powerVelocity: reader.number(launcher, 'powerVelocity', 'launcher', { min: 0, fallback: LAUNCH_POWER_VELOCITY }),
+        randomness: reader.number(launcher, 'randomness', 'launcher', { min: 0, fallback: 0 }),
+        tubeWidth: reader.number(launcher, 'tubeWidth', 'launcher', { positive: true, fallback: 0.5 }),
+        guideRadius: reader.number(launcher, 'guideRadius', 'launcher', { positive: true, fallback: 1.4 }),
+        fireRate: reader.number(launcher, 'fireRate', 'launcher', { positive: true, fallback: 100 })
+    };
+
+    if (result.tubeWidth <= board.ball.radius * 2) {
+        reader.fail('launcher.tubeWidth', `${result.tubeWidth} is too narrow for a ball ${board.ball.radius * 2} across`);
+    }
+    // The guide curves from the top of the tube to the top of the board, so it must fit beside the board
+    if (reader.bounds && result.guideRadius > Math.min(board.size.height / 2, board.size.width)) {
+        reader.fail('launcher.guideRadius', `${result.guideRadius} is too big for a ${board.size.width} x ${board.size.height} board`);
+    }
+    // The inner guide runs a tube width inside it, round from the right wall to over the board's edge
+    const minGuideRadius = result.tubeWidth + board.frame.wallThickness;
+    if (result.guideRadius <= minGuideRadius) {
+        reader.fail('launcher.guideRadius', `${result.guideRadius} must be more than tubeWidth and frame.wallThickness together (${minGuideRadius})`);
+    }
+    return result;
+}
+
+function readForceField(reader, field, path) {
+    reader.fields(field, path, [
+        'type', 'x', 'y', 'radius', 'width', 'height', 'direction', 'strength', 'falloff', 'damping', 'enabled'
+    ]);
+    const result = {
+        type: reader.oneOf(field, 'type', path, FORCE_FIELD_TYPES),
+        ...reader.position(field, path),
+        strength: reader.number(field, 'strength', path, { fallback: 0 }),
+        falloff: reader.oneOf(field, 'falloff', path, FALLOFFS, 'linear'),
+        damping: reader.number(field, 'damping', path, { min: 0, fallback: 0 }),
+        enabled: field.enabled !== false
+    };
+
+    // A radius makes a circle; otherwise a width x height rectangle
+    if (field.radius !== undefined) {
+        result.radius = reader.number(field, 'radius', path, { positive: true });
+    } else {
+        result.width = reader.number(field, 'width', path, { positive: true, fallback: 1 });
+        result.height = reader.number(field, 'height', path, { positive: true, fallback: 1 });
+    }
+    if (field.direction !== undefined) {
+        result.direction = reader.point(field.direction, `${path}.direction`);
+        if (result.direction[0] === 0 && result.direction[1] === 0) {
+            reader.fail(`${path}.direction`, 'must not be [0, 0]');
+        }
+    }
+    return result;
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function describe(value) {
+    if (Array.isArray(value)) return 'an array';
+    if (value === null) return 'null';
+    if (typeof value === 'string') return `"${value}"`;
+    if (typeof value === 'object') return 'an object';
+    return String(value);
+}
+
+function join(path, key) {
+    return path ? `${path}.${key}` : key;
+}
+
+// Collects problems instead of stopping at the first, returning placeholders so checking can go on
+class BoardReader {
+    constructor() {
+        this.problems = [];
+        this.bounds = null; // Board size once it is known to be valid
+    }
+
+    fail(path, message) {
+        this.problems.push(`${path} ${message}`);
+    }
+
+    // Report keys that are not part of the schema (usually typos)
+    fields(object, path, allowed) {
+        for (const key of Object.keys(object)) {
+            if (!allowed.includes(key)) {
+                this.fail(join(path, key), `is not a known field (expected ${allowed.join(', ')})`);
+            }
+        }
+    }
+
+    section(parent, key, path, options = {}) {
+        const value = parent[key];
+        if (value === undefined && options.optional) return {};
+        if (!isObject(value)) {
+            this.fail(join(path, key), value === undefined ? 'is required' : `must be an object, got ${describe(value)}`);
+            return {};
+        }
+        return value;
+    }
+
+    /**
+     * Read each item of an array; non-objects are reported and skipped unless options.anyItems
+     * @param {Function} read - (item, itemPath) => value kept in the result
+     */
+    list(parent, key, path, read, options = {}) {
+        const value = parent[key];
+        const at = join(path, key);
+        if (value === undefined && options.optional) return [];
+        if (!Array.isArray(value)) {
+            this.fail(at, value === undefined ? 'is required' : `must be an array, got ${describe(value)}`);
+            return [];
+        }
+        const result = [];
+        value.forEach((item, i) => {
+            if (!options.anyItems && !isObject(item)) {
+                this.fail(`${at}[${i}]`, `must be an object, got ${describe(item)}`);
+                return;
+            }
+            result.push(read(item, `${at}[${i}]`));
+        });
+        return result;
+    }
+
+    /**
+     * @param {Object} parent
+     * @param {string} key
+     * @param {string} path - Path of parent
+     * @param {Object} [options] - fallback (used when missing), optional (undefined when missing),
+     *     integer, positive, min, max
+     */
+    number(parent, key, path, options = {}) {
+        const value = parent[key];
+        const at = join(path, key);
+        if (value === undefined) {
+            if (options.fallback !== undefined || options.optional) return options.fallback;
+            this.fail(at, 'is required');
+            return 1;
+        }
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            this.fail(at, `must be a number, got ${describe(value)}`);
+            return 1;
+        }
+        if (options.integer && !Number.isInteger(value)) {
+            this.fail(at, `must be a whole number, got ${value}`);
+        }
+        if (options.positive && value <= 0) {
+            this.fail(at, `must be greater than 0, got ${value}`);
+        }
+        if (options.min !== undefined && value < options.min) {
+            this.fail(at, `must be at least ${options.min}, got ${value}`);
+        }
+        if (options.max !== undefined && value > options.max) {
+            this.fail(at, `must be at most ${options.max}, got ${value}`);
+        }
+        return value;
+    }
+
+    string(parent, key, path, options = {}) {
+        const value = parent[key];
+        if (value === undefined && options.fallback !== undefined) return options.fallback;
+        if (typeof value !== 'string') {
+            this.fail(join(path, key), value === undefined ? 'is required' : `must be a string, got ${describe(value)}`);
+            return '';
+        }
+        return value;
+    }
+
+    oneOf(parent, key, path, allowed, fallback) {
+        const value = parent[key] === undefined ? fallback : parent[key];
+        if (!allowed.includes(value)) {
+            const problem = value === undefined ? 'is required' : `is ${describe(value)}`;
+            this.fail(join(path, key), `${problem} (expected one of ${allowed.join(', ')})`);
+            return allowed[0];
+        }
+        return value;
+    }
+
+    point(value, path) {
+        if (!Array.isArray(value) || value.length !== 2 || !value.every(Number.isFinite)) {
+            this.fail(path, value === undefined ? 'is required' : `must be an [x, y] pair of numbers, got ${JSON.stringify(value)}`);
+            return [0, 0];
+        }
+        return [value[0], value[1]];
+    }
+
+    // x and y fields of a board item, which must be on the board
+    position(parent, path) {
+        const x = this.number(parent, 'x', path);
+        const y = this.number(parent, 'y', path);
+        this.inBounds([x, y], path);
+        return { x, y };
+    }
+
+    inBounds(point, path) {
+        const size = this.bounds;
+        if (size && (Math.abs(point[0]) > size.width / 2 || point[1] < 0 || point[1] > size.height)) {
+            this.fail(path, `[${point[0]}, ${point[1]}] is outside the ${size.width} x ${size.height} board`);
+        }
+        return point;
+    }
+
+    // [r, g, b] with components 0-1, or the name of a colour in the board's palette
+    color(value, path, palette = null) {
+        if (typeof value === 'string' && palette) {
+            if (!Object.hasOwn(palette, value)) {
+                this.fail(path, `"${value}" is not a colour in colors (expected one of ${Object.keys(palette).join(', ')} or [r, g, b])`);
+                return [1, 1, 1];
+            }
+            return palette[value];
+        }
+        if (!Array.isArray(value) || value.length !== 3 || !value.every(c => Number.isFinite(c) && c >= 0 && c <= 1)) {
+            this.fail(path, `must be an [r, g, b] array with components from 0 to 1, got ${JSON.stringify(value)}`);
+            return [1, 1, 1];
+        }
+        return [...value];
+    }
+}
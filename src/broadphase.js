@@ -0,0 +1,137 @@
+/**
+ * Spatial Hash Broadphase
+ * Buckets static colliders into a uniform grid so each ball only
+ * tests the colliders in the cells it overlaps
+ */
+
+// Broadphase configuration constants
+const DEFAULT_CELL_SIZE = 1;
+const MAX_CELLS_PER_BODY = 4096; // Larger bodies skip the grid and are always returned
+
+export class SpatialHash {
+    constructor(cellSize = DEFAULT_CELL_SIZE) {
+        this.cellSize = cellSize;
+        this.cells = new Map();
+        this.oversized = [];
+        this.entries = new Map(); // body -> cell keys it occupies
+        this.queryStamp = 0;
+    }
+
+    /**
+     * Add a body using its current bounds
+     * @param {PhysicsBody} body - Body implementing getBounds()
+     */
+    insert(body) {
+        if (this.entries.has(body)) {
+            this.remove(body);
+        }
+
+        const { min, max } = body.getBounds();
+        const x0 = this.toCell(min[0]), x1 = this.toCell(max[0]);
+        const y0 = this.toCell(min[1]), y1 = this.toCell(max[1]);
+        const z0 = this.toCell(min[2]), z1 = this.toCell(max[2]);
+
+        const cellCount = (x1 - x0 + 1) * (y1 - y0 + 1) * (z1 - z0 + 1);
+        if (cellCount > MAX_CELLS_PER_BODY) {
+            this.oversized.push(body);
+            this.entries.set(body, null);
+            return;
+        }
+
+        const keys = [];
+        for (let x = x0; x <= x1; x++) {
+            for (let y = y0; y <= y1; y++) {
+                for (let z = z0; z <= z1; z++) {
+                    const key = this.hashKey(x, y, z);
+                    let cell = this.cells.get(key);
+                    if (!cell) {
+                        cell = [];
+                        this.cells.set(key, cell);
+                    }
+                    cell.push(body);
+                    keys.push(key);
+                }
+            }
+        }
+        this.entries.set(body, keys);
+    }
+
+    remove(body) {
+        if (!this.entries.has(body)) return;
+
+        const keys = this.entries.get(body);
+        this.entries.delete(body);
+
+        if (keys === null) {
+            this.oversized.splice(this.oversized.indexOf(body), 1);
+            return;
+        }
+
+        for (const key of keys) {
+            const cell = this.cells.get(key);
+            const index = cell.indexOf(body);
+            if (index !== -1) cell.splice(index, 1);
+            if (cell.length === 0) this.cells.delete(key);
+        }
+    }
+
+    /**
+     * Re-bucket a body after its bounds changed
+     * @param {PhysicsBody} body
+     */
+    update(body) {
+        this.insert(body);
+    }
+
+    clear() {
+        this.cells.clear();
+        this.entries.clear();
+        this.oversized = [];
+    }
+
+    /**
+     * Collect every body whose cells overlap an AABB (each body at most once)
+     * @param {number[]} min - AABB minimum corner
+     * @param {number[]} max - AABB maximum corner
+     * @param {PhysicsBody[]} out - Array to fill (cleared first)
+     * @returns {PhysicsBody[]} out
+     */
+    query(min, max, out) {
+        out.length = 0;
+        const stamp = ++this.queryStamp;
+
+        for (const body of this.oversized) {
+            out.push(body);
+        }
+
+        const x0 = this.toCell(min[0]), x1 = this.toCell(max[0]);
+        const y0 = this.toCell(min[1]), y1 = this.toCell(max[1]);
+        const z0 = this.toCell(min[2]), z1 = this.toCell(max[2]);
+
+        for (let x = x0; x <= x1; x++) {
+            for (let y = y0; y <= y1; y++) {
+                for (let z = z0; z <= z1; z++) {
+                    const cell = this.cells.get(this.hashKey(x, y, z));
+                    if (!cell) continue;
+                    for (const body of cell) {
+                        // Stamp instead of a Set so repeated queries allocate nothing
+                        if (body.broadphaseStamp === stamp) continue;
+                        body.broadphaseStamp = stamp;
+                        out.push(body);
+                    }
+                }
+            }
+        }
+
+        return out;
+    }
+
+    toCell(value) {
+        return Math.floor(value / this.cellSize);
+    }
+
+    hashKey(x, y, z) {
+        // Distinct cells may share a key; that only adds candidates, never loses one
+        return ((x * 73856093) ^ (y * 19349663) ^ (z * 83492791)) | 0;
+    }
+}
@@ -14,6 +14,7 @@ const MAX_RADIUS = 30;
 const MIN_PHI = -Math.PI / 3;
 const MAX_PHI = Math.PI / 2.5;
 const FIELD_OF_VIEW = Math.PI / 4; // 45 degrees
+const FRONT_VIEW_MARGIN = 1.1; // Room left around whatever frontView() frames
 
 export class Camera {
     constructor(canvas) {
@@ -55,6 +56,44 @@ export class Camera {
         this.updateViewMatrix();
     }
 
+    /**
+     * Look straight at a point from the front, backed off until halfHeight above and below it fits
+     * @param {number[]} target - Point to centre
+     * @param {number} halfHeight - Half the height that must be visible
+     */
+    frontView(target, halfHeight) {
+        this.theta = 0;
+        this.phi = 0;
+        this.radius = Math.max(MIN_RADIUS, Math.min(MAX_RADIUS, halfHeight / Math.tan(FIELD_OF_VIEW / 2) * FRONT_VIEW_MARGIN));
+        this.setTarget(target[0], target[1], target[2]);
+    }
+
+    /**
+     * World-space ray through a point on the canvas, for picking
+     * @param {number} clientX - Pointer position in client (CSS pixel) coordinates
+     * @param {number} clientY
+     * @returns {Object} { origin, direction } with direction normalized
+     */
+    getRay(clientX, clientY) {
+        const rect = this.canvas.getBoundingClientRect();
+        const ndcX = ((clientX - rect.left) / rect.width) * 2 - 1;
+        const ndcY = 1 - ((clientY - rect.top) / rect.height) * 2;
+        const tanHalf = Math.tan(FIELD_OF_VIEW / 2);
+        const aspect = rect.width / rect.height;
+
+        // Camera basis, matching lookAt() with a world up of +Y
+        const origin = this.getPosition();
+        const forward = vec3.normalize(vec3.create(), vec3.subtract(vec3.create(), this.target, origin));
+        const right = vec3.normalize(vec3.create(), vec3.cross(vec3.create(), forward, [0, 1, 0]));
+        const up = vec3.cross(vec3.create(), right, forward);
+
+        const direction = vec3.create();
+        for (let i = 0; i < 3; i++) {
+            direction[i] = forward[i] + right[i] * ndcX * tanHalf * aspect + up[i] * ndcY * tanHalf;
+        }
+        return { origin, direction: vec3.normalize(direction, direction) };
+    }
+
     getPosition() {
         const x = this.radius * Math.cos(this.phi) * Math.sin(this.theta);
         const y = this.radius * Math.sin(this.phi);
@@ -0,0 +1,102 @@
+/**
+ * Ball Economy
+ * The balls in the player's tray: rented in blocks, fired one at a time, paid back
+ * by the pockets, and finally exchanged for prize tokens at the counter
+ */
+
+export const LEND_BLOCK = 125;  // Balls per rental (a ¥500 block at ¥4 a ball)
+export const TOKEN_BALLS = 25;  // Balls exchanged for one prize token
+
+export class BallEconomy {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.tray = 0;     // Balls ready to fire
+        this.rented = 0;   // Balls lent in total; the player's stake
+        this.tokens = 0;   // Prize tokens from cash-outs
+        this.fired = 0;
+        this.fouls = 0;    // Fired balls that fell back down the launch tube
+        this.paidOut = 0;  // Balls the pockets paid into the tray
+    }
+
+    // Rent another block of balls into the tray
+    rent() {
+        this.tray += LEND_BLOCK;
+        this.rented += LEND_BLOCK;
+    }
+
+    /**
+     * Take a ball from the tray to fire it
+     * @returns {boolean} false when the tray is empty
+     */
+    fire() {
+        if (this.tray <= 0) {
+            return false;
+        }
+        this.tray--;
+        this.fired++;
+        return true;
+    }
+
+    // A foul ball rolls back into the tray
+    refund() {
+        this.tray++;
+        this.fouls++;
+    }
+
+    /**
+     * Pay balls won by a pocket into the tray
+     * @param {number} balls
+     */
+    payout(balls) {
+        if (balls <= 0) return;
+        this.tray += balls;
+        this.paidOut += balls;
+    }
+
+    /**
+     * Exchange the tray for prize tokens; balls that do not make up a whole token stay in the tray
+     * @returns {number} Tokens received
+     */
+    cashOut() {
+        const tokens = Math.floor(this.tray / TOKEN_BALLS);
+        this.tray -= tokens * TOKEN_BALLS;
+        this.tokens += tokens;
+        return tokens;
+    }
+
+    /**
+     * Net balance in balls: everything the player holds or has exchanged, less what they rented
+     * @param {number} inPlay - Balls fired but not yet in a pocket; they count as held until they land
+     * @returns {number}
+     */
+    getBalance(inPlay = 0) {
+        return this.tray + inPlay + this.tokens * TOKEN_BALLS - this.rented;
+    }
+
+    serialize() {
+        return {
+            tray: this.tray,
+            rented: this.rented,
+            tokens: this.tokens,
+            fired: this.fired,
+            fouls: this.fouls,
+            paidOut: this.paidOut
+        };
+    }
+
+    /**
+     * Resume from a serialize() snapshot
+     * @param {Object} state
+     */
+    restore(state) {
+        this.tray = state.tray;
+        this.rented = state.rented;
+        this.tokens = state.tokens;
+        this.fired = state.fired;
+        this.fouls = state.fouls;
+        this.paidOut = state.paidOut;
+    }
+}
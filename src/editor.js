@@ -0,0 +1,627 @@
+/**
+ * Board Editor
+ * Edit mode for building boards in the browser: place, drag and delete nails,
+ * draw walls and pockets, set payouts, test-drop balls and export/import the JSON
+ */
+
+import { Physics } from './physics.js';
+import { PachinkoMachine } from './pachinko.js';
+import { SeededRandom } from './random.js';
+import { validateBoard, parseBoard, BoardError } from './board.js';
+
+// Editing constants
+const TOOLS = ['select', 'nail', 'wall', 'pocket', 'delete'];
+const TOOL_HINTS = {
+    select: 'Drag nails, walls and pocket dividers. Delete removes the selection.',
+    nail: 'Click to place a nail, drag to move one.',
+    wall: 'Drag to draw a wall from end to end.',
+    pocket: 'Click a pocket to split it there, drag a divider to resize.',
+    delete: 'Click a nail, wall or pocket to remove it.'
+};
+const GRID = 0.05; // Placement snaps to this grid; hold Alt to place freely
+const WALL_THICKNESS = 0.1;
+const MIN_WALL_LENGTH = 0.1;
+const PICK_MARGIN = 0.08; // Extra reach around nails and walls when clicking them
+const DIVIDER_PICK_RANGE = 0.12;
+const MIN_POCKET_WIDTH = 0.3;
+const TEST_POWER = 0.5;
+const PATTERN_NAIL_STATUS = 'This nail is laid out by the board\'s nail patterns. Change nails.patterns or nails.seed in the board file to move it';
+
+// Items each tool can pick up and drag
+const MOVABLE = {
+    select: ['nail', 'wall', 'divider'],
+    nail: ['nail'],
+    wall: ['wall'],
+    pocket: ['divider']
+};
+
+export class BoardEditor {
+    /**
+     * @param {HTMLCanvasElement} canvas
+     * @param {Renderer} renderer - Shared with the game; the editor's machine draws through it
+     * @param {Camera} camera - Shared with the game; used for picking
+     */
+    constructor(canvas, renderer, camera) {
+        this.canvas = canvas;
+        this.renderer = renderer;
+        this.camera = camera;
+        this.rng = new SeededRandom('editor'); // Test drops never disturb the game's seed
+        this.active = false;
+        this.onClose = null; // () when Play is pressed
+
+        // The board being edited (plain JSON) and the last version of it that validated
+        this.board = null;
+        this.validBoard = null;
+
+        // Live machine built from the board; rebuilt after every change, keeping its balls
+        this.physics = null;
+        this.machine = null;
+        this.dirty = false;
+        this.rebuilding = null;
+
+        this.tool = 'select';
+        this.selection = null; // { type, index } of the last item clicked
+        this.drag = null;      // What the pointer is moving
+        this.slotHits = [];
+
+        this.setupUI();
+        this.setupControls();
+    }
+
+    setupUI() {
+        this.panel = document.getElementById('editor-panel');
+        this.nameInput = document.getElementById('editor-name');
+        this.pocketList = document.getElementById('editor-pockets');
+        this.hintElement = document.getElementById('editor-hint');
+        this.statusElement = document.getElementById('editor-status');
+        this.importInput = document.getElementById('editor-import-file');
+        this.toolButtons = [...this.panel.querySelectorAll('[data-tool]')];
+
+        for (const button of this.toolButtons) {
+            button.addEventListener('click', () => this.setTool(button.dataset.tool));
+        }
+        this.nameInput.addEventListener('input', () => {
+            this.board.name = this.nameInput.value;
+            this.changed();
+        });
+        document.getElementById('editor-launch').addEventListener('click', () => this.launchBall());
+        document.getElementById('editor-clear').addEventListener('click', () => this.clearBalls());
+        document.getElementById('editor-export').addEventListener('click', () => this.exportBoard());
+        document.getElementById('editor-import').addEventListener('click', () => this.importInput.click());
+        document.getElementById('editor-play').addEventListener('click', () => {
+            if (this.onClose) {
+                this.onClose();
+            }
+        });
+        this.importInput.addEventListener('change', () => {
+            const file = this.importInput.files[0];
+            if (file) {
+                this.importFile(file);
+            }
+            this.importInput.value = '';
+        });
+    }
+
+    setupControls() {
+        this.canvas.addEventListener('mousedown', (e) => {
+            if (!this.active) return;
+            if (e.button === 0) {
+                this.pointerDown(e);
+            } else if (e.button === 2) {
+                this.deleteAt(this.pick(e));
+            }
+        });
+        this.canvas.addEventListener('contextmenu', (e) => {
+            if (this.active) {
+                e.preventDefault();
+            }
+        });
+        document.addEventListener('mousemove', (e) => {
+            if (this.active && this.drag) {
+                this.pointerMove(e);
+            }
+        });
+        document.addEventListener('mouseup', () => {
+            this.pointerUp();
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (!this.active || e.target instanceof HTMLInputElement) return;
+            const tool = TOOLS[Number(e.key) - 1];
+            if (tool) {
+                this.setTool(tool);
+            } else if (e.code === 'KeyB') {
+                this.launchBall();
+            } else if (e.code === 'KeyC') {
+                this.clearBalls();
+            } else if (e.code === 'Delete' || e.code === 'Backspace') {
+                this.deleteSelection();
+            } else if (e.code === 'Escape') {
+                this.select(null);
+            }
+        });
+    }
+
+    /**
+     * Enter edit mode on a copy of a board
+     * @param {Object} board - Validated board
+     */
+    async open(board) {
+        this.active = true;
+        this.panel.classList.remove('hidden');
+        this.setTool(this.tool);
+        await this.load(board);
+    }
+
+    /**
+     * Leave edit mode
+     * @returns {Object} The last valid version of the edited board
+     */
+    close() {
+        this.active = false;
+        this.drag = null;
+        this.panel.classList.add('hidden');
+        if (this.machine) {
+            this.machine.dispose();
+            this.machine = null;
+            this.physics = null;
+        }
+        return this.validBoard;
+    }
+
+    async load(board) {
+        if (this.rebuilding) {
+            await this.rebuilding;
+        }
+        this.dirty = false;
+
+        // Plain JSON so edits never reach the board the game is playing
+        this.board = JSON.parse(JSON.stringify(board));
+        this.validBoard = board;
+        this.selection = null;
+        this.resetHits();
+        this.nameInput.value = this.board.name;
+        this.renderPocketList();
+
+        const height = this.board.size.height;
+        this.camera.frontView([0, height / 2, 0], height / 2);
+
+        if (this.machine) {
+            this.machine.dispose();
+            this.machine = null;
+        }
+        await this.rebuild();
+    }
+
+    // Build a machine from the current board, carrying over the balls in play
+    async rebuild() {
+        let board;
+        try {
+            board = validateBoard(this.board, 'edited board');
+        } catch (error) {
+            if (!(error instanceof BoardError)) throw error;
+            this.setStatus(error.problems.join('\n'), true);
+            return;
+        }
+
+        const state = this.machine ? await this.machine.serialize() : null;
+        const physics = new Physics({ rng: this.rng });
+        // Scored test balls leave play at once, rather than piling up and being carried through every rebuild
+        const machine = new PachinkoMachine(this.renderer, physics, this.rng, { board, clearScoredBalls: true });
+        await machine.init();
+        if (state) {
+            machine.restore(state);
+            for (const ball of machine.balls) {
+                this.watchBall(ball);
+            }
+        }
+
+        if (this.machine) {
+            this.machine.dispose();
+        }
+        this.machine = machine;
+        this.physics = physics;
+        this.validBoard = board;
+        this.setStatus(this.describeSelection());
+    }
+
+    update(deltaTime) {
+        // At most one rebuild at a time; edits made meanwhile are picked up by the next
+        if (this.dirty && !this.rebuilding) {
+            this.dirty = false;
+            this.rebuilding = this.rebuild()
+                .catch((error) => this.setStatus(error.message, true))
+                .finally(() => {
+                    this.rebuilding = null;
+                });
+        }
+        if (!this.machine || this.rebuilding) return;
+
+        this.physics.update(deltaTime);
+        this.machine.update(deltaTime);
+    }
+
+    getRenderables() {
+        return this.machine ? this.machine.getRenderables() : [];
+    }
+
+    changed() {
+        this.dirty = true;
+    }
+
+    setTool(tool) {
+        this.tool = tool;
+        for (const button of this.toolButtons) {
+            button.classList.toggle('active', button.dataset.tool === tool);
+        }
+        this.hintElement.textContent = TOOL_HINTS[tool];
+    }
+
+    select(selection) {
+        this.selection = selection;
+        this.setStatus(this.describeSelection());
+    }
+
+    describeSelection() {
+        const selection = this.selection;
+        if (!selection) return '';
+        if (selection.type === 'nail') {
+            const [x, y] = this.board.nails.positions[selection.index];
+            return `Nail ${selection.index} at (${x.toFixed(2)}, ${y.toFixed(2)})`;
+        }
+        if (selection.type === 'wall') {
+            const wall = this.board.walls[selection.index];
+            return `Wall ${selection.index} at (${wall.x.toFixed(2)}, ${wall.y.toFixed(2)}), ` +
+                `${wall.width.toFixed(2)} long at ${wall.angle.toFixed(1)}°`;
+        }
+        if (selection.type === 'pocket') {
+            const slot = this.board.pockets.slots[selection.index];
+            return `Pocket ${selection.index}: pays ${slot.payout} balls, ${slot.width.toFixed(2)} wide`;
+        }
+        return '';
+    }
+
+    setStatus(text, isError = false) {
+        this.statusElement.textContent = text;
+        this.statusElement.classList.toggle('error', isError);
+    }
+
+    // Pointer position on the board's mid-plane (z = 0), or null when the ray misses it
+    pick(e) {
+        const { origin, direction } = this.camera.getRay(e.clientX, e.clientY);
+        if (Math.abs(direction[2]) < 1e-6) return null;
+        const t = -origin[2] / direction[2];
+        if (t < 0) return null;
+        return { x: origin[0] + direction[0] * t, y: origin[1] + direction[1] * t, free: e.altKey };
+    }
+
+    // Snap to the grid and keep a margin inside the playing field
+    place(point, margin = 0) {
+        const snap = (value) => point.free ? value : +(Math.round(value / GRID) * GRID).toFixed(3);
+        const halfWidth = this.board.size.width / 2 - margin;
+        return [
+            Math.max(-halfWidth, Math.min(halfWidth, snap(point.x))),
+            Math.max(margin, Math.min(this.board.size.height - margin, snap(point.y)))
+        ];
+    }
+
+    /**
+     * Find the board item under a point
+     * Nails laid out from patterns come back as 'pattern-nail': they move with their pattern, so
+     * they can be seen but not picked up
+     * @returns {Object|null} { type: 'nail' | 'pattern-nail' | 'wall' | 'divider' | 'pocket', index }
+     */
+    hitTest(point) {
+        if (!point) return null;
+        const { nails, walls, pockets } = this.board;
+
+        let closest = null;
+        let closestDistance = nails.radius + PICK_MARGIN;
+        nails.positions.forEach(([x, y], index) => {
+            const distance = Math.hypot(point.x - x, point.y - y);
+            if (distance < closestDistance) {
+                closest = { type: 'nail', index };
+                closestDistance = distance;
+            }
+        });
+        if (this.machine) {
+            // The machine lays out the pattern nails after the hand-placed ones it was built with
+            const pins = this.machine.pins;
+            for (let index = this.machine.board.nails.positions.length; index < pins.length; index++) {
+                const [x, y] = pins[index].position;
+                const distance = Math.hypot(point.x - x, point.y - y);
+                if (distance < closestDistance) {
+                    closest = { type: 'pattern-nail', index };
+                    closestDistance = distance;
+                }
+            }
+        }
+        if (closest) return closest;
+
+        for (let index = walls.length - 1; index >= 0; index--) {
+            const wall = walls[index];
+            const angle = wall.angle / 180 * Math.PI;
+            const dx = point.x - wall.x;
+            const dy = point.y - wall.y;
+            const along = dx * Math.cos(angle) + dy * Math.sin(angle);
+            const across = -dx * Math.sin(angle) + dy * Math.cos(angle);
+            if (Math.abs(along) <= wall.width / 2 + PICK_MARGIN && Math.abs(across) <= wall.height / 2 + PICK_MARGIN) {
+                return { type: 'wall', index };
+            }
+        }
+
+        if (point.y >= 0 && point.y <= pockets.height) {
+            const edges = this.getPocketEdges();
+            for (let index = 1; index < edges.length - 1; index++) {
+                if (Math.abs(point.x - edges[index]) <= DIVIDER_PICK_RANGE) {
+                    return { type: 'divider', index };
+                }
+            }
+            for (let index = 0; index < edges.length - 1; index++) {
+                if (point.x >= edges[index] && point.x <= edges[index + 1]) {
+                    return { type: 'pocket', index };
+                }
+            }
+        }
+        return null;
+    }
+
+    // x of every pocket edge, left to right (the board sides included)
+    getPocketEdges() {
+        const edges = [-this.board.size.width / 2];
+        for (const slot of this.board.pockets.slots) {
+            edges.push(edges[edges.length - 1] + slot.width);
+        }
+        return edges;
+    }
+
+    pointerDown(e) {
+        const point = this.pick(e);
+        if (!point) return;
+
+        if (e.shiftKey) {
+            this.dropBall(point);
+            return;
+        }
+        if (this.tool === 'delete') {
+            this.deleteAt(point);
+            return;
+        }
+
+        const hit = this.hitTest(point);
+        if (hit && hit.type === 'pattern-nail' && MOVABLE[this.tool].includes('nail')) {
+            this.setStatus(PATTERN_NAIL_STATUS, true);
+        } else if (hit && MOVABLE[this.tool].includes(hit.type)) {
+            this.startMove(hit, point);
+        } else if (this.tool === 'pocket' && hit && hit.type === 'pocket') {
+            this.splitPocket(hit.index, point.x);
+        } else if (this.tool === 'nail') {
+            const nails = this.board.nails;
+            nails.positions.push(this.place(point, nails.radius));
+            this.startMove({ type: 'nail', index: nails.positions.length - 1 }, point);
+            this.changed();
+        } else if (this.tool === 'wall') {
+            const [x, y] = this.place(point);
+            this.board.walls.push({ x, y, width: MIN_WALL_LENGTH, height: WALL_THICKNESS, angle: 0 });
+            this.drag = { type: 'new-wall', index: this.board.walls.length - 1, start: [x, y] };
+            this.select({ type: 'wall', index: this.drag.index });
+            this.changed();
+        } else {
+            this.select(hit && hit.type !== 'divider' ? hit : null);
+        }
+    }
+
+    startMove(hit, point) {
+        let offset = [0, 0];
+        if (hit.type === 'nail') {
+            const [x, y] = this.board.nails.positions[hit.index];
+            offset = [x - point.x, y - point.y];
+        } else if (hit.type === 'wall') {
+            const wall = this.board.walls[hit.index];
+            offset = [wall.x - point.x, wall.y - point.y];
+        }
+        this.drag = { ...hit, offset };
+        this.select(hit.type === 'divider' ? null : hit);
+    }
+
+    pointerMove(e) {
+        const point = this.pick(e);
+        if (!point) return;
+        const drag = this.drag;
+
+        if (drag.type === 'nail') {
+            const radius = this.board.nails.radius;
+            this.board.nails.positions[drag.index] = this.place({
+                ...point, x: point.x + drag.offset[0], y: point.y + drag.offset[1]
+            }, radius);
+        } else if (drag.type === 'wall') {
+            const wall = this.board.walls[drag.index];
+            [wall.x, wall.y] = this.place({ ...point, x: point.x + drag.offset[0], y: point.y + drag.offset[1] });
+        } else if (drag.type === 'new-wall') {
+            const wall = this.board.walls[drag.index];
+            const [endX, endY] = this.place(point);
+            const [startX, startY] = drag.start;
+            wall.x = (startX + endX) / 2;
+            wall.y = (startY + endY) / 2;
+            wall.width = Math.max(MIN_WALL_LENGTH, Math.hypot(endX - startX, endY - startY));
+            wall.angle = +(Math.atan2(endY - startY, endX - startX) / Math.PI * 180).toFixed(2);
+        } else if (drag.type === 'divider') {
+            this.moveDivider(drag.index, point);
+        }
+        drag.moved = true;
+        this.setStatus(this.describeSelection());
+    }
+
+    // A drag only edits the board file; the machine is rebuilt from it once, when the drag ends
+    pointerUp() {
+        if (this.drag && this.drag.moved) {
+            this.changed();
+        }
+        this.drag = null;
+    }
+
+    // Divider i sits between pockets i - 1 and i; their combined width never changes
+    moveDivider(index, point) {
+        const slots = this.board.pockets.slots;
+        const left = slots[index - 1];
+        const right = slots[index];
+        const start = this.getPocketEdges()[index - 1];
+        const total = left.width + right.width;
+        const [x] = this.place(point);
+        left.width = Math.max(MIN_POCKET_WIDTH, Math.min(total - MIN_POCKET_WIDTH, x - start));
+        right.width = total - left.width;
+    }
+
+    splitPocket(index, x) {
+        const slots = this.board.pockets.slots;
+        const slot = slots[index];
+        const start = this.getPocketEdges()[index];
+        const [splitX] = this.place({ x, y: 0 });
+        const width = splitX - start;
+        if (width < MIN_POCKET_WIDTH || slot.width - width < MIN_POCKET_WIDTH) {
+            this.setStatus(`Pockets must be at least ${MIN_POCKET_WIDTH} wide`, true);
+            return;
+        }
+
+        slots.splice(index + 1, 0, { ...slot, width: slot.width - width });
+        slot.width = width;
+        this.pocketsChanged();
+        this.select({ type: 'pocket', index: index + 1 });
+    }
+
+    deleteAt(point) {
+        const hit = this.hitTest(point);
+        if (hit && hit.type === 'pattern-nail') {
+            this.setStatus(PATTERN_NAIL_STATUS, true);
+        } else if (hit && hit.type !== 'divider') {
+            this.remove(hit);
+        }
+    }
+
+    deleteSelection() {
+        if (this.selection) {
+            this.remove(this.selection);
+        }
+    }
+
+    remove(item) {
+        if (item.type === 'nail') {
+            this.board.nails.positions.splice(item.index, 1);
+        } else if (item.type === 'wall') {
+            this.board.walls.splice(item.index, 1);
+        } else if (item.type === 'pocket') {
+            // The neighbour (the left one where there is one) takes over the space
+            const slots = this.board.pockets.slots;
+            if (slots.length === 1) {
+                this.setStatus('A board needs at least one pocket', true);
+                return;
+            }
+            const neighbour = slots[item.index > 0 ? item.index - 1 : 1];
+            neighbour.width += slots[item.index].width;
+            slots.splice(item.index, 1);
+            this.pocketsChanged();
+        }
+        this.drag = null;
+        this.select(null);
+        this.changed();
+    }
+
+    pocketsChanged() {
+        this.resetHits();
+        this.renderPocketList();
+        this.changed();
+    }
+
+    renderPocketList() {
+        this.pocketList.replaceChildren();
+        this.hitElements = [];
+        this.board.pockets.slots.forEach((slot, index) => {
+            const item = document.createElement('li');
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.min = '0';
+            input.step = '1';
+            input.value = slot.payout;
+            input.title = `Balls paid by pocket ${index}`;
+            input.addEventListener('change', () => {
+                const payout = Number(input.value);
+                if (Number.isInteger(payout) && payout >= 0) {
+                    slot.payout = payout;
+                    this.changed();
+                } else {
+                    input.value = slot.payout;
+                }
+            });
+
+            const hits = document.createElement('span');
+            hits.className = 'editor-hits';
+            item.append(input, hits);
+            this.pocketList.append(item);
+            this.hitElements.push(hits);
+        });
+        this.updateHits();
+    }
+
+    resetHits() {
+        this.slotHits = this.board.pockets.slots.map(() => 0);
+    }
+
+    updateHits() {
+        this.hitElements.forEach((element, index) => {
+            element.textContent = `${this.slotHits[index]} hits`;
+        });
+    }
+
+    // Test drops
+
+    watchBall(ball) {
+        ball.onScore = (payout, slot) => {
+            if (slot.type === 'slot' && slot.index < this.slotHits.length) {
+                this.slotHits[slot.index]++;
+                this.updateHits();
+            }
+        };
+    }
+
+    launchBall() {
+        if (!this.machine) return;
+        this.watchBall(this.machine.launchBall(TEST_POWER));
+    }
+
+    dropBall(point) {
+        if (!this.machine) return;
+        const [x, y] = this.place({ ...point, free: true }, this.board.ball.radius);
+        this.watchBall(this.machine.addBall(this.machine.nextBallId, [x, y, 0], [0, 0, 0]));
+    }
+
+    clearBalls() {
+        if (!this.machine) return;
+        this.machine.clearBalls();
+        this.resetHits();
+        this.updateHits();
+    }
+
+    // Import and export
+
+    exportBoard() {
+        // Number arrays (points, colours) on one line keep the file readable
+        const json = JSON.stringify(this.validBoard, null, 4)
+            .replace(/\[\s+(-?[\d.e-]+(?:,\s+-?[\d.e-]+)*)\s+\]/g, (match, items) => `[${items.split(/,\s+/).join(', ')}]`);
+        const name = (this.validBoard.name || 'board').toLowerCase().replace(/[^a-z0-9]+/g, '-');
+
+        const blob = new Blob([json + '\n'], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `${name}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    async importFile(file) {
+        try {
+            await this.load(parseBoard(await file.text(), file.name));
+        } catch (error) {
+            this.setStatus(error.message, true);
+        }
+    }
+}
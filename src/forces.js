@@ -0,0 +1,94 @@
+/**
+ * Force Fields
+ * Regions that push on the dynamic bodies inside them: directional wind,
+ * radial attractors/repulsors (magnets) and damping zones
+ */
+
+export const FORCE_FIELD_TYPES = ['wind', 'attractor', 'damping'];
+export const FALLOFFS = ['constant', 'linear'];
+
+export class ForceField {
+    /**
+     * @param {Object} options
+     * @param {string} options.type - 'wind', 'attractor' or 'damping'
+     * @param {string} [options.shape] - 'box' (min/max) or 'sphere' (position/radius); attractors default to sphere
+     * @param {number[]} [options.direction] - Wind direction (normalized here)
+     * @param {number} [options.strength] - Acceleration in units/s^2; negative attractors repel
+     * @param {string} [options.falloff] - Attractors: 'linear' (full at the centre, none at the edge) or 'constant'
+     * @param {number} [options.damping] - Damping zones: fraction of velocity lost per second
+     */
+    constructor(options = {}) {
+        if (!FORCE_FIELD_TYPES.includes(options.type)) {
+            throw new Error(`Unknown force field type "${options.type}" (expected ${FORCE_FIELD_TYPES.join(', ')})`);
+        }
+        this.type = options.type;
+        this.shape = options.shape || (options.type === 'attractor' ? 'sphere' : 'box');
+        this.enabled = options.enabled !== false;
+
+        // Region
+        this.min = options.min || [0, 0, 0];
+        this.max = options.max || [0, 0, 0];
+        this.position = options.position || [0, 0, 0];
+        this.radius = options.radius || 1;
+
+        // Wind
+        const direction = options.direction || [0, 1, 0];
+        const length = Math.hypot(direction[0], direction[1], direction[2] || 0) || 1;
+        this.direction = [direction[0] / length, direction[1] / length, (direction[2] || 0) / length];
+
+        this.strength = options.strength || 0;
+        this.falloff = options.falloff || 'linear';
+        if (!FALLOFFS.includes(this.falloff)) {
+            throw new Error(`Unknown falloff "${this.falloff}" (expected ${FALLOFFS.join(', ')})`);
+        }
+        this.damping = options.damping || 0;
+        this.userData = options.userData || {};
+    }
+
+    contains(point) {
+        if (this.shape === 'sphere') {
+            const dx = point[0] - this.position[0];
+            const dy = point[1] - this.position[1];
+            const dz = point[2] - this.position[2];
+            return dx * dx + dy * dy + dz * dz <= this.radius * this.radius;
+        }
+        return point[0] >= this.min[0] && point[0] <= this.max[0] &&
+               point[1] >= this.min[1] && point[1] <= this.max[1] &&
+               point[2] >= this.min[2] && point[2] <= this.max[2];
+    }
+
+    /**
+     * Change a body's velocity for one substep
+     * @param {PhysicsBody} body - Dynamic body inside the region
+     * @param {number} dt - Substep length in seconds
+     */
+    apply(body, dt) {
+        const v = body.velocity;
+
+        if (this.type === 'wind') {
+            v[0] += this.direction[0] * this.strength * dt;
+            v[1] += this.direction[1] * this.strength * dt;
+            v[2] += this.direction[2] * this.strength * dt;
+        } else if (this.type === 'attractor') {
+            const dx = this.position[0] - body.position[0];
+            const dy = this.position[1] - body.position[1];
+            const dz = this.position[2] - body.position[2];
+            const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+            if (distance === 0) return;
+
+            const scale = this.falloff === 'linear' ? Math.max(0, 1 - distance / this.radius) : 1;
+            const acceleration = this.strength * scale / distance;
+            v[0] += dx * acceleration * dt;
+            v[1] += dy * acceleration * dt;
+            v[2] += dz * acceleration * dt;
+        } else if (this.type === 'damping') {
+            const keep = Math.max(0, 1 - this.damping * dt);
+            v[0] *= keep;
+            v[1] *= keep;
+            v[2] *= keep;
+            body.angularVelocity[0] *= keep;
+            body.angularVelocity[1] *= keep;
+            body.angularVelocity[2] *= keep;
+        }
+    }
+}
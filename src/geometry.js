@@ -78,15 +78,17 @@ export class Geometry {
      * @param {number} segments - Number of horizontal segments
      * @param {number} rings - Number of vertical rings
      * @param {number[]} color - RGB color array
+     * @param {number[]} [stripeColor] - Optional RGB color for a band around the equator (makes spin visible)
      * @returns {Float32Array} Vertex data
      */
-    static createSphere(radius, segments, rings, color) {
-        const [r, g, b] = color;
+    static createSphere(radius, segments, rings, color, stripeColor = null) {
         const vertices = [];
         
         for (let ring = 0; ring < rings; ring++) {
             const theta1 = (ring / rings) * Math.PI;
             const theta2 = ((ring + 1) / rings) * Math.PI;
+            const isStripe = stripeColor && (ring === Math.floor(rings / 2) - 1 || ring === Math.floor(rings / 2));
+            const [r, g, b] = isStripe ? stripeColor : color;
             
             for (let seg = 0; seg < segments; seg++) {
                 const phi1 = (seg / segments) * Math.PI * 2;
@@ -178,6 +180,113 @@ export class Geometry {
         return new Float32Array(vertices);
     }
 
+    /**
+     * Points along a circular arc in the XY plane
+     * @param {number} cx - Centre X
+     * @param {number} cy - Centre Y
+     * @param {number} radius - Arc radius
+     * @param {number} startAngle - Start angle in radians (0 = +X, counter-clockwise)
+     * @param {number} endAngle - End angle in radians
+     * @param {number} segments - Number of straight segments
+     * @returns {number[][]} segments + 1 points [x, y]
+     */
+    static arcPoints(cx, cy, radius, startAngle, endAngle, segments) {
+        const points = [];
+        for (let i = 0; i <= segments; i++) {
+            const angle = startAngle + (endAngle - startAngle) * (i / segments);
+            points.push([cx + Math.cos(angle) * radius, cy + Math.sin(angle) * radius]);
+        }
+        return points;
+    }
+
+    /**
+     * Create a rail mesh: a polyline in the XY plane given a thickness and extruded along Z
+     * @param {number[][]} points - Centre line [x, y] points
+     * @param {number} thickness - Rail thickness in the XY plane
+     * @param {number} depth - Extent along Z (centred on z = 0)
+     * @param {number[]} color - RGB color array
+     * @returns {Float32Array} Vertex data
+     */
+    static createRail(points, thickness, depth, color) {
+        const [r, g, b] = color;
+        const vertices = [];
+        const half = thickness / 2;
+        const hd = depth / 2;
+
+        // Offset direction at each point: the neighbouring segment normals averaged and
+        // lengthened (mitred) so the rail keeps its thickness through bends
+        const normals = points.map((point, i) => {
+            const before = i > 0 ? Geometry.segmentNormal(points[i - 1], point) : null;
+            const after = i < points.length - 1 ? Geometry.segmentNormal(point, points[i + 1]) : null;
+            if (!before || !after) return before || after;
+
+            const nx = before[0] + after[0];
+            const ny = before[1] + after[1];
+            const length = Math.sqrt(nx * nx + ny * ny) || 1;
+            const cosHalfAngle = Math.max(0.25, (nx * before[0] + ny * before[1]) / length);
+            return [nx / length / cosHalfAngle, ny / length / cosHalfAngle];
+        });
+
+        const quad = (p0, p1, p2, p3, n) => {
+            vertices.push(
+                ...p0, ...n, r, g, b,
+                ...p1, ...n, r, g, b,
+                ...p2, ...n, r, g, b,
+                ...p0, ...n, r, g, b,
+                ...p2, ...n, r, g, b,
+                ...p3, ...n, r, g, b
+            );
+        };
+
+        for (let i = 0; i < points.length - 1; i++) {
+            const [ax, ay] = points[i];
+            const [bx, by] = points[i + 1];
+            const na = normals[i];
+            const nb = normals[i + 1];
+            const n = Geometry.segmentNormal(points[i], points[i + 1]);
+
+            // Corners: left (+normal) and right (-normal) edges at each end
+            const al = [ax + na[0] * half, ay + na[1] * half];
+            const ar = [ax - na[0] * half, ay - na[1] * half];
+            const bl = [bx + nb[0] * half, by + nb[1] * half];
+            const br = [bx - nb[0] * half, by - nb[1] * half];
+
+            quad([...ar, hd], [...br, hd], [...bl, hd], [...al, hd], [0, 0, 1]);         // Front
+            quad([...al, -hd], [...bl, -hd], [...br, -hd], [...ar, -hd], [0, 0, -1]);    // Back
+            quad([...al, hd], [...bl, hd], [...bl, -hd], [...al, -hd], [n[0], n[1], 0]); // Left side
+            quad([...ar, -hd], [...br, -hd], [...br, hd], [...ar, hd], [-n[0], -n[1], 0]); // Right side
+        }
+
+        // End caps
+        const ends = [[0, 1, -1], [points.length - 1, points.length - 2, 1]];
+        for (const [i, j, sign] of ends) {
+            if (points.length < 2) break;
+            const [px, py] = points[i];
+            const n = normals[i];
+            const dx = points[i][0] - points[j][0];
+            const dy = points[i][1] - points[j][1];
+            const length = Math.sqrt(dx * dx + dy * dy) || 1;
+            const out = [dx / length, dy / length, 0];
+            const left = [px + n[0] * half, py + n[1] * half];
+            const right = [px - n[0] * half, py - n[1] * half];
+            if (sign < 0) {
+                quad([...left, hd], [...left, -hd], [...right, -hd], [...right, hd], out);
+            } else {
+                quad([...right, hd], [...right, -hd], [...left, -hd], [...left, hd], out);
+            }
+        }
+
+        return new Float32Array(vertices);
+    }
+
+    // Left-hand unit normal of the segment a -> b in the XY plane
+    static segmentNormal(a, b) {
+        const dx = b[0] - a[0];
+        const dy = b[1] - a[1];
+        const length = Math.sqrt(dx * dx + dy * dy) || 1;
+        return [-dy / length, dx / length];
+    }
+
     static spherePoint(radius, theta, phi) {
         return [
             radius * Math.sin(theta) * Math.cos(phi),
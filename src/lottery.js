@@ -0,0 +1,217 @@
+/**
+ * Reel Lottery
+ * The digital three-reel lottery behind the start pocket: every ball caught there
+ * holds a spin, a spin whose outer reels match is a reach, and three of a kind is a
+ * jackpot that starts a timed fever. Odd jackpots are kakuhen, which raise the odds
+ * until the next jackpot
+ */
+
+// Presentation timing; the odds and fever length come from the board
+const SYMBOL_COUNT = 9;   // Reels show 1-9
+const SPIN_TIME = 2;      // Until the outer reels stop (the left one stops halfway)
+const REACH_TIME = 3;     // Extra suspense while the centre reel turns slowly on a reach
+const RESULT_TIME = 1;    // Final reels stay up this long before the next spin or the fever
+const REEL_SPEED = 12;    // Symbols per second on a spinning reel
+const REACH_REEL_SPEED = 3;
+
+export class ReelLottery {
+    /**
+     * @param {Object} options - Validated board lottery: odds and kakuhenOdds ("1 in n" per spin),
+     *     kakuhenRate and reachRate (0-1), feverTime (seconds) and maxHeld (spins waiting)
+     * @param {SeededRandom} rng - Draws the outcomes; give the lottery its own stream so the
+     *     board's physics is unaffected
+     */
+    constructor(options, rng) {
+        this.odds = options.odds;
+        this.kakuhenOdds = options.kakuhenOdds;
+        this.kakuhenRate = options.kakuhenRate;
+        this.reachRate = options.reachRate;
+        this.feverTime = options.feverTime;
+        this.maxHeld = options.maxHeld;
+        this.rng = rng;
+        this.onStateChange = null; // (state, previous) on every transition
+        this.reset();
+    }
+
+    reset() {
+        this.state = 'idle';   // Then spinning, reach (only when the outer reels match), result and fever
+        this.timer = 0;        // Seconds in the current state
+        this.held = 0;         // Spins waiting (horyū)
+        this.kakuhen = false;  // Better odds until the next jackpot
+        this.outcome = null;   // Decided when a spin starts: { reels, reach, jackpot, kakuhen }
+        this.reels = [1, 2, 3];
+        this.stats = { spins: 0, reaches: 0, jackpots: 0, kakuhenJackpots: 0, overflow: 0 };
+    }
+
+    /**
+     * Hold a spin for a ball caught by the start pocket
+     * @returns {boolean} false when the hold is full and the ball is wasted
+     */
+    hold() {
+        if (this.held >= this.maxHeld) {
+            this.stats.overflow++;
+            return false;
+        }
+        this.held++;
+        return true;
+    }
+
+    update(deltaTime) {
+        this.timer += deltaTime;
+
+        switch (this.state) {
+            case 'idle':
+                if (this.held > 0) {
+                    this.spin();
+                }
+                break;
+            case 'spinning':
+                if (this.timer >= SPIN_TIME) {
+                    this.setState(this.outcome.reach ? 'reach' : 'result');
+                }
+                break;
+            case 'reach':
+                if (this.timer >= REACH_TIME) {
+                    this.setState('result');
+                }
+                break;
+            case 'result':
+                if (this.timer >= RESULT_TIME) {
+                    if (this.outcome.jackpot) {
+                        this.kakuhen = this.outcome.kakuhen;
+                        this.setState('fever');
+                    } else {
+                        this.next();
+                    }
+                }
+                break;
+            case 'fever':
+                if (this.timer >= this.feverTime) {
+                    this.next();
+                }
+                break;
+        }
+    }
+
+    // Start the next held spin, or wait for one
+    next() {
+        if (this.held > 0) {
+            this.spin();
+        } else {
+            this.setState('idle');
+        }
+    }
+
+    spin() {
+        this.held--;
+        this.outcome = this.draw();
+        this.reels = this.outcome.reels;
+        this.stats.spins++;
+        if (this.outcome.reach) {
+            this.stats.reaches++;
+        }
+        if (this.outcome.jackpot) {
+            this.stats.jackpots++;
+            if (this.outcome.kakuhen) {
+                this.stats.kakuhenJackpots++;
+            }
+        }
+        this.setState('spinning');
+    }
+
+    // The result is fixed the moment a spin starts; the reels only reveal it
+    draw() {
+        const odds = this.kakuhen ? this.kakuhenOdds : this.odds;
+        if (this.rng.next() * odds < 1) {
+            const kakuhen = this.rng.next() < this.kakuhenRate;
+            // Odd symbols for kakuhen jackpots (1, 3, ... 9), even ones otherwise (2, ... 8)
+            const symbol = kakuhen
+                ? 1 + 2 * this.randomIndex(Math.ceil(SYMBOL_COUNT / 2))
+                : 2 + 2 * this.randomIndex(Math.floor(SYMBOL_COUNT / 2));
+            return { reels: [symbol, symbol, symbol], reach: true, jackpot: true, kakuhen };
+        }
+
+        const left = this.randomSymbol();
+        const reach = this.rng.next() < this.reachRate;
+        const right = reach ? left : this.randomSymbol(left);
+        const centre = this.randomSymbol(reach ? left : null); // Never three of a kind on a miss
+        return { reels: [left, centre, right], reach, jackpot: false, kakuhen: false };
+    }
+
+    // Whole number in [0, count)
+    randomIndex(count) {
+        return Math.floor(this.rng.next() * count);
+    }
+
+    randomSymbol(except = null) {
+        if (except === null) {
+            return 1 + this.randomIndex(SYMBOL_COUNT);
+        }
+        // Any symbol but one: step past it
+        return 1 + (except + this.randomIndex(SYMBOL_COUNT - 1)) % SYMBOL_COUNT;
+    }
+
+    setState(state) {
+        const previous = this.state;
+        this.state = state;
+        this.timer = 0;
+        if (this.onStateChange) {
+            this.onStateChange(state, previous);
+        }
+    }
+
+    /**
+     * What each reel shows right now
+     * @returns {Object[]} Left, centre and right: { symbol, spinning }
+     */
+    getReels() {
+        const spinning = [
+            this.state === 'spinning' && this.timer < SPIN_TIME / 2,
+            this.state === 'spinning' || this.state === 'reach',
+            this.state === 'spinning'
+        ];
+        const speed = this.state === 'reach' ? REACH_REEL_SPEED : REEL_SPEED;
+
+        return this.reels.map((symbol, i) => ({
+            // Spinning reels roll through the symbols, offset so they never line up
+            symbol: spinning[i] ? 1 + (Math.floor(this.timer * speed) + i * 3) % SYMBOL_COUNT : symbol,
+            spinning: spinning[i]
+        }));
+    }
+
+    /**
+     * Seconds of fever left, or 0 outside a fever
+     * @returns {number}
+     */
+    getFeverRemaining() {
+        return this.state === 'fever' ? Math.max(0, this.feverTime - this.timer) : 0;
+    }
+
+    serialize() {
+        return {
+            state: this.state,
+            timer: this.timer,
+            held: this.held,
+            kakuhen: this.kakuhen,
+            outcome: this.outcome && { ...this.outcome, reels: [...this.outcome.reels] },
+            reels: [...this.reels],
+            stats: { ...this.stats },
+            rng: this.rng.getState()
+        };
+    }
+
+    /**
+     * Resume from a serialize() snapshot; onStateChange is not called
+     * @param {Object} state
+     */
+    restore(state) {
+        this.state = state.state;
+        this.timer = state.timer;
+        this.held = state.held;
+        this.kakuhen = state.kakuhen;
+        this.outcome = state.outcome && { ...state.outcome, reels: [...state.outcome.reels] };
+        this.reels = [...state.reels];
+        this.stats = { ...state.stats };
+        this.rng.setState(state.rng);
+    }
+}
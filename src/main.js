@@ -6,11 +6,28 @@
 import { Renderer } from './renderer.js';
 import { PachinkoMachine } from './pachinko.js';
 import { Physics } from './physics.js';
+import { WorkerPhysics } from './worker-physics.js';
 import { Camera } from './camera.js';
+import { SeededRandom } from './random.js';
+import { loadBoard, BoardError } from './board.js';
+import { BoardEditor } from './editor.js';
+import { ReelLottery } from './lottery.js';
+import { BallEconomy } from './economy.js';
 
 // Game configuration constants
-const INITIAL_BALLS = 10;
 const POWER_CHARGE_RATE = 0.5;
+const HANDLE_STEP = 0.05;   // Handle strength per arrow key press or wheel notch
+const DIAL_SWEEP = 270;     // Degrees the dial pointer turns from zero to full strength
+const MESSAGE_TIME = 2.5;   // Seconds a message stays up in the overlay
+
+// Stress mode (?stress=<balls>): free balls at a steady rate, with a memory report every STRESS_REPORT balls
+const STRESS_INTERVAL = 1 / 30;  // Seconds between balls; faster and they collide in the tube
+const STRESS_POWER = 0.5;
+const STRESS_REPORT = 500;
+
+// Save states: bump SAVE_VERSION whenever the serialized layout changes
+const SAVE_VERSION = 8;
+const SAVE_KEY = 'pachinko-save';
 
 class PachinkoGame {
     constructor() {
@@ -19,12 +36,38 @@ class PachinkoGame {
         this.pachinko = null;
         this.physics = null;
         this.camera = null;
-        this.score = 0;
-        this.ballsRemaining = INITIAL_BALLS;
+        this.economy = new BallEconomy();
+        this.economy.rent(); // Play starts with one block of balls in the tray
+        this.economyText = '';
         this.launchPower = 0;
         this.isCharging = false;
+        // 'charge': one ball per SPACE press and release; 'handle': fire continuously while held
+        this.launchMode = 'charge';
+        this.handleStrength = 0.5;
         this.lastTime = 0;
         this.isRunning = false;
+        this.editor = null;
+        this.togglingEditor = false;
+
+        // Seed can be pinned with ?seed=<value> to replay a session
+        const params = new URLSearchParams(window.location.search);
+        const seedParam = params.get('seed');
+        this.seed = seedParam !== null ? seedParam : SeededRandom.randomSeed();
+        this.rng = new SeededRandom(this.seed);
+        // The lottery draws from its own stream so spins never change the physics
+        this.lotteryRng = new SeededRandom(`${this.seed}:lottery`);
+        this.lottery = null;
+        this.lotteryText = '';
+
+        // ?worker=1 moves the simulation off the main thread
+        this.useWorker = params.get('worker') === '1' && typeof Worker !== 'undefined';
+
+        // ?board=<url> plays a board file other than boards/default.json (relative to the page)
+        this.boardUrl = params.get('board');
+
+        // ?stress=<balls> fires that many balls, outside the economy, to check memory stays flat
+        const stressBalls = parseInt(params.get('stress'), 10);
+        this.stress = stressBalls > 0 ? { remaining: stressBalls, launched: 0, timer: 0 } : null;
     }
 
     async init() {
@@ -42,12 +85,15 @@ class PachinkoGame {
             // Initialize camera
             this.camera = new Camera(this.canvas);
 
-            // Initialize physics
-            this.physics = new Physics();
+            // Initialize physics and the pachinko machine
+            const board = this.boardUrl ? await loadBoard(new URL(this.boardUrl, window.location.href)) : null;
+            await this.buildMachine(board);
+
+            // Board editor shares the renderer and camera, so what is edited is what plays
+            this.editor = new BoardEditor(this.canvas, this.renderer, this.camera);
+            this.editor.onClose = () => this.toggleEditor();
 
-            // Initialize pachinko machine
-            this.pachinko = new PachinkoMachine(this.renderer, this.physics);
-            await this.pachinko.init();
+            console.log(`Board: ${this.pachinko.board.name}, random seed: ${this.seed}${this.useWorker ? ' (physics in worker)' : ''}`);
 
             // Setup UI
             this.setupUI();
@@ -57,36 +103,182 @@ class PachinkoGame {
             return true;
         } catch (error) {
             console.error('Failed to initialize:', error);
-            this.showError();
+            this.showError(error);
             return false;
         }
     }
 
-    showError() {
+    /**
+     * Replace the machine (and its physics) with one built from a board
+     * @param {Object|null} board - Validated board, or null for the default board
+     */
+    async buildMachine(board) {
+        const physics = this.useWorker
+            ? new WorkerPhysics({ rng: this.rng })
+            : new Physics({ rng: this.rng });
+        // Pocketed balls leave the board, so every ball still on it is in play
+        const pachinko = new PachinkoMachine(this.renderer, physics, this.rng, { board, clearScoredBalls: true });
+        await pachinko.init();
+        pachinko.onHandleFire = (strength) => this.launchBall(strength);
+        pachinko.onBallFoul = (ball) => {
+            // Stress balls were never paid for
+            if (!ball.stress) {
+                this.economy.refund();
+            }
+        };
+        pachinko.setHandle(false, this.handleStrength);
+
+        // Swap only once the new machine is complete; the game loop keeps running meanwhile
+        if (this.pachinko) {
+            this.pachinko.dispose();
+        }
+        if (this.physics && this.physics.isRemote) {
+            this.physics.terminate();
+        }
+        this.physics = physics;
+        this.pachinko = pachinko;
+
+        // Boards with a start pocket bring their own lottery
+        const options = pachinko.board.lottery;
+        this.lottery = options ? new ReelLottery(options, this.lotteryRng) : null;
+        if (this.lottery) {
+            this.lottery.onStateChange = (state, previous) => this.onLotteryStateChange(state, previous);
+        }
+    }
+
+    showError(error = null) {
+        if (error instanceof BoardError) {
+            // A broken board file rather than a browser without WebGPU
+            const panel = document.getElementById('error-message');
+            panel.querySelector('h2').textContent = 'Invalid Board';
+            panel.querySelector('p').textContent = error.message;
+        }
         document.getElementById('error-message').classList.remove('hidden');
         document.getElementById('ui-overlay').classList.add('hidden');
     }
 
     setupUI() {
-        this.scoreElement = document.getElementById('score');
-        this.ballsElement = document.getElementById('balls-remaining');
+        this.scorePanel = document.getElementById('score-panel');
+        this.trayElement = document.getElementById('tray');
+        this.inPlayElement = document.getElementById('balls-in-play');
+        this.rentedElement = document.getElementById('balls-rented');
+        this.tokensElement = document.getElementById('tokens');
+        this.balanceElement = document.getElementById('net-balance');
+        this.lostElement = document.getElementById('balls-lost');
+        this.rentBtn = document.getElementById('rent-btn');
+        this.cashOutBtn = document.getElementById('cash-out-btn');
         this.powerFill = document.getElementById('power-fill');
         this.launchBtn = document.getElementById('launch-btn');
+        this.controlsPanel = document.getElementById('controls-panel');
+        this.modeBtn = document.getElementById('mode-btn');
+        this.launchHint = document.getElementById('launch-hint');
+        this.handleDial = document.getElementById('handle-dial');
+        this.handlePointer = document.getElementById('handle-pointer');
+        this.handleStrengthElement = document.getElementById('handle-strength');
+        this.updateHandleDial();
+        this.lotteryPanel = document.getElementById('lottery-panel');
+        this.reelElements = [...this.lotteryPanel.querySelectorAll('.reel')];
+        this.lotteryStatus = document.getElementById('lottery-status');
+        this.lotteryHeld = document.getElementById('lottery-held');
+        this.messageElement = document.getElementById('game-message');
+        this.messageTimer = null;
+    }
+
+    /**
+     * Show a short message over the board; it fades after MESSAGE_TIME, or when the next one replaces it
+     * @param {string} text
+     * @param {boolean} [isError]
+     */
+    showMessage(text, isError = false) {
+        this.messageElement.textContent = text;
+        this.messageElement.classList.toggle('error', isError);
+        this.messageElement.classList.add('visible');
+        clearTimeout(this.messageTimer);
+        this.messageTimer = setTimeout(() => this.messageElement.classList.remove('visible'), MESSAGE_TIME * 1000);
     }
 
     setupControls() {
-        // Launch button
-        this.launchBtn.addEventListener('click', () => this.launchBall());
+        // Launch button: a click fires one ball when charging; in handle mode it is the handle
+        this.launchBtn.addEventListener('click', () => {
+            if (this.launchMode === 'charge') {
+                this.launchBall();
+            }
+        });
+        this.launchBtn.addEventListener('pointerdown', () => {
+            if (this.launchMode === 'handle') {
+                this.pachinko.setHandle(true, this.handleStrength);
+            }
+        });
+        for (const type of ['pointerup', 'pointerleave']) {
+            this.launchBtn.addEventListener(type, () => {
+                if (this.launchMode === 'handle') {
+                    this.pachinko.setHandle(false);
+                }
+            });
+        }
+        this.modeBtn.addEventListener('click', () => this.toggleLaunchMode());
+        this.setupHandleDial();
+        this.rentBtn.addEventListener('click', () => this.economy.rent());
+        this.cashOutBtn.addEventListener('click', () => this.cashOut());
 
         // Keyboard controls
         document.addEventListener('keydown', (e) => {
-            if (e.code === 'Space' && !this.isCharging && !e.repeat) {
-                this.startCharging();
+            if (e.target instanceof HTMLInputElement) return;
+            if (e.code === 'KeyE' && !e.repeat) {
+                this.toggleEditor();
+            }
+            if (this.editor.active) return; // The editor has its own keys
+
+            if (e.code === 'Space' && !e.repeat) {
+                if (this.launchMode === 'handle') {
+                    this.pachinko.setHandle(true, this.handleStrength);
+                } else if (!this.isCharging) {
+                    this.startCharging();
+                }
+                e.preventDefault();
+            }
+            if (e.code === 'KeyH' && !e.repeat) {
+                this.toggleLaunchMode();
+            }
+            if (e.code === 'ArrowUp' || e.code === 'ArrowDown') {
+                this.turnHandle(e.code === 'ArrowUp' ? HANDLE_STEP : -HANDLE_STEP);
                 e.preventDefault();
             }
             if (e.code === 'KeyR') {
                 this.resetGame();
             }
+            if (e.code === 'KeyB' && !e.repeat) {
+                this.economy.rent();
+            }
+            if (e.code === 'KeyC' && !e.repeat) {
+                this.cashOut();
+            }
+            if (e.code === 'KeyS' && !e.repeat) {
+                this.saveGame();
+            }
+            if (e.code === 'KeyL' && !e.repeat) {
+                this.loadGame();
+            }
+            if (e.code === 'KeyD' && !e.repeat) {
+                this.downloadState();
+            }
+        });
+
+        // Drop a state dump (from D) onto the page to reload it
+        document.addEventListener('dragover', (e) => e.preventDefault());
+        document.addEventListener('drop', (e) => {
+            e.preventDefault();
+            const file = e.dataTransfer.files[0];
+            if (file && this.editor.active) {
+                this.editor.importFile(file); // A board file
+            } else if (file) {
+                file.text()
+                    .then((text) => this.restore(JSON.parse(text)))
+                    .catch((error) => {
+                        console.error('Failed to load state dump:', error);
+                        this.showMessage(`Could not load the state dump: ${error.message}`, true);
+                    });
+            }
         });
 
         document.addEventListener('keyup', (e) => {
@@ -94,6 +286,18 @@ class PachinkoGame {
                 this.releaseBall();
                 e.preventDefault();
             }
+            if (e.code === 'Space' && this.pachinko.handle.held) {
+                this.pachinko.setHandle(false);
+                e.preventDefault();
+            }
+        });
+
+        // A key released while the window is in the background never arrives, so let go on blur
+        window.addEventListener('blur', () => {
+            this.pachinko.setHandle(false);
+            this.isCharging = false;
+            this.launchPower = 0;
+            this.powerFill.style.width = '0%';
         });
 
         // Mouse controls for camera
@@ -101,6 +305,7 @@ class PachinkoGame {
         let lastX = 0, lastY = 0;
 
         this.canvas.addEventListener('mousedown', (e) => {
+            if (this.editor.active) return; // Clicks edit the board instead
             isDragging = true;
             lastX = e.clientX;
             lastY = e.clientY;
@@ -148,8 +353,99 @@ class PachinkoGame {
         });
     }
 
+    /**
+     * Switch between playing and the board editor; leaving the editor plays the edited board
+     */
+    async toggleEditor() {
+        if (this.togglingEditor) return;
+        this.togglingEditor = true;
+        const overlay = document.getElementById('ui-overlay');
+
+        try {
+            if (this.editor.active) {
+                const board = this.editor.close();
+                await this.buildMachine(board);
+                this.resetGame();
+                overlay.classList.remove('hidden');
+                this.showMessage(`Playing board: ${board.name}`);
+            } else {
+                this.isCharging = false;
+                this.powerFill.style.width = '0%';
+                this.pachinko.setHandle(false);
+                overlay.classList.add('hidden');
+                await this.editor.open(this.pachinko.board);
+            }
+        } catch (error) {
+            console.error('Failed to switch editor mode:', error);
+        } finally {
+            this.togglingEditor = false;
+        }
+    }
+
+    // Drag, scroll or the arrow keys turn the handle; the dial shows how far
+    setupHandleDial() {
+        let dragging = false;
+        const turnTo = (e) => {
+            const rect = this.handleDial.getBoundingClientRect();
+            const dx = e.clientX - (rect.left + rect.width / 2);
+            const dy = e.clientY - (rect.top + rect.height / 2);
+            const angle = Math.atan2(dx, -dy) * 180 / Math.PI; // Clockwise from straight up
+            this.setHandleStrength(angle / DIAL_SWEEP + 0.5);
+        };
+
+        this.handleDial.addEventListener('pointerdown', (e) => {
+            dragging = true;
+            this.handleDial.setPointerCapture(e.pointerId);
+            turnTo(e);
+        });
+        this.handleDial.addEventListener('pointermove', (e) => {
+            if (dragging) {
+                turnTo(e);
+            }
+        });
+        this.handleDial.addEventListener('pointerup', () => {
+            dragging = false;
+        });
+        this.handleDial.addEventListener('wheel', (e) => {
+            this.turnHandle(e.deltaY < 0 ? HANDLE_STEP : -HANDLE_STEP);
+            e.preventDefault();
+        });
+    }
+
+    toggleLaunchMode() {
+        this.pachinko.setHandle(false);
+        this.isCharging = false;
+        this.launchPower = 0;
+        this.powerFill.style.width = '0%';
+
+        this.launchMode = this.launchMode === 'charge' ? 'handle' : 'charge';
+        const handleMode = this.launchMode === 'handle';
+        this.controlsPanel.classList.toggle('handle-mode', handleMode);
+        this.modeBtn.textContent = handleMode ? 'Mode: Handle (H)' : 'Mode: Charge (H)';
+        this.launchBtn.textContent = handleMode ? 'Hold to Fire' : 'Launch Ball';
+        this.launchHint.textContent = handleMode
+            ? 'Hold SPACE to fire, ↑/↓ or the dial to set strength'
+            : 'Hold SPACE to charge, release to launch';
+    }
+
+    turnHandle(delta) {
+        this.setHandleStrength(this.handleStrength + delta);
+    }
+
+    setHandleStrength(strength) {
+        this.handleStrength = Math.min(1, Math.max(0, strength));
+        this.pachinko.setHandle(this.pachinko.handle.held, this.handleStrength);
+        this.updateHandleDial();
+    }
+
+    updateHandleDial() {
+        const angle = (this.handleStrength - 0.5) * DIAL_SWEEP;
+        this.handlePointer.style.transform = `rotate(${angle}deg)`;
+        this.handleStrengthElement.textContent = `${Math.round(this.handleStrength * 100)}%`;
+    }
+
     startCharging() {
-        if (this.ballsRemaining <= 0) return;
+        if (this.economy.tray <= 0) return;
         this.isCharging = true;
         this.launchPower = 0;
     }
@@ -163,52 +459,278 @@ class PachinkoGame {
     }
 
     launchBall(power = 0.5) {
-        if (this.ballsRemaining <= 0) return;
+        if (this.economy.tray <= 0) return;
 
         const ball = this.pachinko.launchBall(power);
         if (ball) {
-            this.ballsRemaining--;
-            this.ballsElement.textContent = this.ballsRemaining;
-
-            // Listen for score events
-            ball.onScore = (points) => {
-                this.addScore(points);
-            };
+            this.economy.fire();
+            this.watchBall(ball);
         }
     }
 
-    addScore(points) {
-        this.score += points;
-        this.scoreElement.textContent = this.score;
-        
+    watchBall(ball) {
+        // Pockets pay balls into the tray; the start pocket also holds a lottery spin
+        ball.onScore = (payout, pocket) => {
+            this.addPayout(payout);
+            if (pocket.type === 'start' && this.lottery) {
+                this.lottery.hold();
+            }
+        };
+    }
+
+    addPayout(balls) {
+        if (balls <= 0) return;
+        this.economy.payout(balls);
+
         // Add visual feedback
-        const panel = document.getElementById('score-panel');
-        panel.classList.add('score-update');
-        setTimeout(() => panel.classList.remove('score-update'), 500);
+        this.scorePanel.classList.add('score-update');
+        setTimeout(() => this.scorePanel.classList.remove('score-update'), 500);
+    }
+
+    cashOut() {
+        const tokens = this.economy.cashOut();
+        if (tokens > 0) {
+            this.showMessage(`Cashed out ${tokens} prize tokens`);
+        } else {
+            this.showMessage('Not enough balls in the tray for a token', true);
+        }
+    }
+
+    updateEconomyPanel() {
+        const economy = this.economy;
+        // Stress balls are outside the economy, so they are not counted as in play
+        let inPlay = 0;
+        for (const ball of this.pachinko.balls) {
+            if (!ball.stress) {
+                inPlay++;
+            }
+        }
+        const balance = economy.getBalance(inPlay);
+
+        // Only touch the DOM when a count changed
+        const text = `${economy.tray}|${inPlay}|${economy.rented}|${economy.tokens}|${balance}|${this.pachinko.lostCount}`;
+        if (text === this.economyText) return;
+        this.economyText = text;
+
+        this.trayElement.textContent = economy.tray;
+        this.inPlayElement.textContent = inPlay;
+        this.rentedElement.textContent = economy.rented;
+        this.tokensElement.textContent = economy.tokens;
+        this.balanceElement.textContent = balance > 0 ? `+${balance}` : balance;
+        this.balanceElement.classList.toggle('negative', balance < 0);
+        this.lostElement.textContent = this.pachinko.lostCount;
+    }
+
+    // A jackpot's fever opens the attacker for its whole length
+    onLotteryStateChange(state, previous) {
+        if (state === 'fever') {
+            this.pachinko.setAttackerOpen(true);
+            this.showMessage(this.lottery.kakuhen ? 'Kakuhen jackpot!' : 'Jackpot!');
+        } else if (previous === 'fever') {
+            this.pachinko.setAttackerOpen(false);
+        }
+    }
+
+    updateLotteryPanel() {
+        const lottery = this.lottery;
+        this.lotteryPanel.classList.toggle('hidden', !lottery);
+        if (!lottery) return;
+
+        const reels = lottery.getReels();
+        let status;
+        if (lottery.state === 'fever') {
+            status = `FEVER ${Math.ceil(lottery.getFeverRemaining())}s: attacker open`;
+        } else if (lottery.state === 'reach') {
+            status = 'REACH!';
+        } else if (lottery.state === 'result') {
+            status = lottery.outcome.jackpot ? 'JACKPOT!' : 'Miss';
+        } else if (lottery.state === 'spinning') {
+            status = 'Spinning...';
+        } else {
+            status = lottery.kakuhen ? 'Kakuhen: odds up' : 'Hit the start pocket to spin';
+        }
+        const held = '●'.repeat(lottery.held) + '○'.repeat(lottery.maxHeld - lottery.held);
+
+        // Only touch the DOM when something visible changed
+        const text = `${lottery.state}|${lottery.kakuhen}|${reels.map(reel => reel.symbol).join('')}|${status}|${held}`;
+        if (text === this.lotteryText) return;
+        this.lotteryText = text;
+
+        reels.forEach((reel, i) => {
+            this.reelElements[i].textContent = reel.symbol;
+            this.reelElements[i].classList.toggle('spinning', reel.spinning);
+        });
+        this.lotteryStatus.textContent = status;
+        this.lotteryHeld.textContent = held;
+        this.lotteryPanel.classList.toggle('reach', lottery.state === 'reach');
+        this.lotteryPanel.classList.toggle('jackpot', lottery.state === 'fever' ||
+            (lottery.state === 'result' && lottery.outcome.jackpot));
+        this.lotteryPanel.classList.toggle('kakuhen', lottery.kakuhen);
+    }
+
+    /**
+     * Switch to another random seed and start a fresh game from it
+     * @param {string|number} seed
+     */
+    setSeed(seed) {
+        this.seed = seed;
+        this.resetGame(); // Reseeds rng and lotteryRng from this.seed
     }
 
     resetGame() {
-        this.score = 0;
-        this.ballsRemaining = INITIAL_BALLS;
-        this.scoreElement.textContent = this.score;
-        this.ballsElement.textContent = this.ballsRemaining;
+        // Restart the random sequences so identical inputs replay identically
+        this.rng.setSeed(this.seed);
+        this.lotteryRng.setSeed(`${this.seed}:lottery`);
+        if (this.lottery) {
+            this.lottery.reset();
+        }
         this.pachinko.reset();
+
+        // A fresh session starts with one block of balls in the tray
+        this.economy.reset();
+        this.economy.rent();
+    }
+
+    /**
+     * Versioned snapshot of the whole game: ball economy, lottery, machine, physics and RNG
+     * @returns {Promise<Object>} Plain JSON-compatible object
+     */
+    async serialize() {
+        return {
+            version: SAVE_VERSION,
+            savedAt: new Date().toISOString(),
+            seed: this.seed,
+            economy: this.economy.serialize(),
+            lottery: this.lottery ? this.lottery.serialize() : null,
+            machine: await this.pachinko.serialize()
+        };
+    }
+
+    /**
+     * Resume from a serialize() snapshot
+     * @param {Object} state
+     */
+    restore(state) {
+        if (!state || state.version !== SAVE_VERSION) {
+            throw new Error(`Unsupported save version ${state && state.version} (expected ${SAVE_VERSION})`);
+        }
+        // Nothing is touched until the save is known to fit this board
+        this.pachinko.checkLayout(state.machine);
+
+        this.seed = state.seed;
+        this.economy.restore(state.economy);
+        this.pachinko.setHandle(false);
+        this.isCharging = false;
+        this.launchPower = 0;
+
+        // Physics restores the shared RNG, so play continues exactly where it was saved
+        this.pachinko.restore(state.machine);
+        if (this.lottery && state.lottery) {
+            this.lottery.restore(state.lottery);
+        }
+        for (const ball of this.pachinko.balls) {
+            if (!ball.stress) {
+                this.watchBall(ball);
+            }
+        }
+
+        this.powerFill.style.width = '0%';
+    }
+
+    async saveGame() {
+        try {
+            localStorage.setItem(SAVE_KEY, JSON.stringify(await this.serialize()));
+            this.showMessage('Game saved');
+        } catch (error) {
+            console.error('Failed to save game:', error);
+            this.showMessage(`Could not save the game: ${error.message}`, true);
+        }
+    }
+
+    loadGame() {
+        const saved = localStorage.getItem(SAVE_KEY);
+        if (saved === null) {
+            this.showMessage('No saved game', true);
+            return;
+        }
+
+        try {
+            this.restore(JSON.parse(saved));
+            this.showMessage('Game loaded');
+        } catch (error) {
+            console.error('Failed to load game:', error);
+            this.showMessage(`Could not load the game: ${error.message}`, true);
+        }
+    }
+
+    // Download the current state as JSON, e.g. to attach to a bug report
+    async downloadState() {
+        const state = await this.serialize();
+        const blob = new Blob([JSON.stringify(state, null, 2)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `pachinko-state-${state.seed}-${Date.now()}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
     }
 
     update(deltaTime) {
         if (!this.isRunning) return;
 
+        if (this.editor.active) {
+            this.editor.update(deltaTime);
+            return;
+        }
+
         // Update charging power
         if (this.isCharging) {
             this.launchPower = Math.min(1, this.launchPower + deltaTime * POWER_CHARGE_RATE);
             this.powerFill.style.width = (this.launchPower * 100) + '%';
         }
 
+        if (this.stress) {
+            this.updateStress(deltaTime);
+        }
+
         // Update physics
         this.physics.update(deltaTime);
 
         // Update pachinko machine (balls, etc.)
         this.pachinko.update(deltaTime);
+
+        if (this.lottery) {
+            this.lottery.update(deltaTime);
+        }
+        this.updateLotteryPanel();
+        this.updateEconomyPanel();
+    }
+
+    updateStress(deltaTime) {
+        const stress = this.stress;
+        stress.timer += deltaTime;
+        if (stress.timer < STRESS_INTERVAL) return;
+        stress.timer = 0; // At most one a frame: balls fired together would start inside each other
+
+        // Not watched: stress balls pay nothing, and neither fouls nor the in-play count touch the economy
+        const ball = this.pachinko.launchBall(STRESS_POWER);
+        ball.stress = true;
+        stress.remaining--;
+        stress.launched++;
+        if (stress.launched % STRESS_REPORT === 0 || stress.remaining === 0) {
+            this.logStress();
+        }
+        if (stress.remaining === 0) {
+            this.stress = null;
+        }
+    }
+
+    // Ball records are reused and every ball shares one mesh, so all but the in-play count should level off
+    logStress() {
+        const stats = this.pachinko.getBallStats();
+        // Heap size is only reported by Chromium
+        const heap = performance.memory ? `, JS heap ${(performance.memory.usedJSHeapSize / 1048576).toFixed(1)} MB` : '';
+        console.log(`Stress: ${this.stress.launched} balls fired, ${stats.inPlay} in play, ${stats.pooled} pooled, ` +
+            `${stats.built} records built, ${stats.gpuBuffers} GPU buffers${heap}`);
     }
 
     render() {
@@ -219,7 +741,8 @@ class PachinkoGame {
         const projectionMatrix = this.camera.getProjectionMatrix();
 
         // Render the scene
-        this.renderer.render(this.pachinko.getRenderables(), viewMatrix, projectionMatrix);
+        const renderables = this.editor.active ? this.editor.getRenderables() : this.pachinko.getRenderables();
+        this.renderer.render(renderables, viewMatrix, projectionMatrix);
     }
 
     gameLoop(currentTime) {
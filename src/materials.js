@@ -0,0 +1,98 @@
+/**
+ * Physical Materials
+ * Surface properties for balls and colliders, and the rules for
+ * combining the two materials that meet at a contact
+ */
+
+// Combine modes in order of precedence: when two materials ask for different
+// modes, the one later in this list is used
+const COMBINE_MODES = ['average', 'min', 'multiply', 'max'];
+
+export class Material {
+    /**
+     * @param {Object} options - name, restitution, friction, rollingFriction, damping,
+     *     restitutionCombine and frictionCombine (one of COMBINE_MODES)
+     */
+    constructor(options = {}) {
+        this.name = options.name || 'custom';
+        this.restitution = options.restitution !== undefined ? options.restitution : 0.6; // Bounce factor
+        this.friction = options.friction !== undefined ? options.friction : 0.3; // Coulomb coefficient
+        this.rollingFriction = options.rollingFriction !== undefined ? options.rollingFriction : 0.5; // Spin lost per second
+        this.damping = options.damping || 0; // Sliding speed lost per second while touching (felt, rubber)
+        this.restitutionCombine = options.restitutionCombine || 'average';
+        this.frictionCombine = options.frictionCombine || 'average';
+
+        for (const mode of [this.restitutionCombine, this.frictionCombine]) {
+            if (!COMBINE_MODES.includes(mode)) {
+                throw new Error(`Unknown combine mode "${mode}" (expected ${COMBINE_MODES.join(', ')})`);
+            }
+        }
+    }
+}
+
+// Preset library; values are per material, the contact result depends on both sides
+export const MATERIALS = {
+    default: new Material({ name: 'default' }),
+    steel: new Material({ name: 'steel', restitution: 0.65, friction: 0.25, rollingFriction: 0.4 }),
+    brass: new Material({ name: 'brass', restitution: 0.6, friction: 0.2, rollingFriction: 0.5 }),
+    wood: new Material({ name: 'wood', restitution: 0.45, friction: 0.4, rollingFriction: 0.6 }),
+    plastic: new Material({ name: 'plastic', restitution: 0.55, friction: 0.3, rollingFriction: 0.5 }),
+    glass: new Material({ name: 'glass', restitution: 0.6, friction: 0.1, rollingFriction: 0.3 }),
+    rubber: new Material({
+        name: 'rubber', restitution: 0.85, friction: 0.8, rollingFriction: 1,
+        restitutionCombine: 'max', frictionCombine: 'max'
+    }),
+    felt: new Material({
+        name: 'felt', restitution: 0.1, friction: 0.6, rollingFriction: 3, damping: 2,
+        restitutionCombine: 'min', frictionCombine: 'max'
+    })
+};
+
+/**
+ * Resolve a preset name, Material or plain options object (e.g. from JSON or a worker message)
+ * @param {string|Material|Object} material
+ * @returns {Material}
+ */
+export function getMaterial(material) {
+    if (material instanceof Material) {
+        return material;
+    }
+    if (typeof material === 'string') {
+        if (!MATERIALS[material]) {
+            throw new Error(`Unknown material "${material}" (expected ${Object.keys(MATERIALS).join(', ')})`);
+        }
+        return MATERIALS[material];
+    }
+    if (material && typeof material === 'object') {
+        return new Material(material);
+    }
+    throw new Error('Material must be a preset name, Material or options object');
+}
+
+export function combineValues(a, b, modeA, modeB) {
+    const mode = COMBINE_MODES.indexOf(modeA) > COMBINE_MODES.indexOf(modeB) ? modeA : modeB;
+    switch (mode) {
+        case 'min': return Math.min(a, b);
+        case 'max': return Math.max(a, b);
+        case 'multiply': return a * b;
+        default: return (a + b) / 2;
+    }
+}
+
+/**
+ * Effective surface properties where two materials touch
+ * @param {Material} a
+ * @param {Material} b
+ * @param {Object} out - Receives restitution, friction, rollingFriction and damping
+ * @returns {Object} out
+ */
+export function combineMaterials(a, b, out) {
+    const restitutionA = a.restitutionCombine, restitutionB = b.restitutionCombine;
+    const frictionA = a.frictionCombine, frictionB = b.frictionCombine;
+    out.restitution = combineValues(a.restitution, b.restitution, restitutionA, restitutionB);
+    out.friction = combineValues(a.friction, b.friction, frictionA, frictionB);
+    out.rollingFriction = combineValues(a.rollingFriction, b.rollingFriction, frictionA, frictionB);
+    // Damping is a property of the softer surface, so the stronger one always applies
+    out.damping = Math.max(a.damping, b.damping);
+    return out;
+}
@@ -135,6 +135,20 @@ export const mat4 = {
         return out;
     },
 
+    fromRotationTranslation(out, q, v) {
+        const x = q[0], y = q[1], z = q[2], w = q[3];
+        const x2 = x + x, y2 = y + y, z2 = z + z;
+        const xx = x * x2, xy = x * y2, xz = x * z2;
+        const yy = y * y2, yz = y * z2, zz = z * z2;
+        const wx = w * x2, wy = w * y2, wz = w * z2;
+
+        out[0] = 1 - (yy + zz); out[1] = xy + wz; out[2] = xz - wy; out[3] = 0;
+        out[4] = xy - wz; out[5] = 1 - (xx + zz); out[6] = yz + wx; out[7] = 0;
+        out[8] = xz + wy; out[9] = yz - wx; out[10] = 1 - (xx + yy); out[11] = 0;
+        out[12] = v[0]; out[13] = v[1]; out[14] = v[2]; out[15] = 1;
+        return out;
+    },
+
     perspective(out, fovy, aspect, near, far) {
         const f = 1.0 / Math.tan(fovy / 2);
         out[0] = f / aspect;
@@ -257,3 +271,61 @@ export const vec3 = {
         return Math.sqrt(dx * dx + dy * dy + dz * dz);
     }
 };
+
+export const quat = {
+    create() {
+        return new Float32Array([0, 0, 0, 1]);
+    },
+
+    normalize(out, a) {
+        const len = Math.sqrt(a[0] * a[0] + a[1] * a[1] + a[2] * a[2] + a[3] * a[3]);
+        if (len > 0) {
+            out[0] = a[0] / len;
+            out[1] = a[1] / len;
+            out[2] = a[2] / len;
+            out[3] = a[3] / len;
+        }
+        return out;
+    },
+
+    fromAxisAngle(out, axis, angle) {
+        const s = Math.sin(angle / 2);
+        out[0] = axis[0] * s;
+        out[1] = axis[1] * s;
+        out[2] = axis[2] * s;
+        out[3] = Math.cos(angle / 2);
+        return out;
+    },
+
+    conjugate(out, q) {
+        out[0] = -q[0];
+        out[1] = -q[1];
+        out[2] = -q[2];
+        out[3] = q[3];
+        return out;
+    },
+
+    // Rotate vector v by unit quaternion q: v + 2w(u x v) + 2u x (u x v)
+    rotateVector(out, q, v) {
+        const ux = q[0], uy = q[1], uz = q[2], w = q[3];
+        const vx = v[0], vy = v[1], vz = v[2];
+        const tx = 2 * (uy * vz - uz * vy);
+        const ty = 2 * (uz * vx - ux * vz);
+        const tz = 2 * (ux * vy - uy * vx);
+        out[0] = vx + w * tx + (uy * tz - uz * ty);
+        out[1] = vy + w * ty + (uz * tx - ux * tz);
+        out[2] = vz + w * tz + (ux * ty - uy * tx);
+        return out;
+    },
+
+    // Advance orientation q by angular velocity w (rad/s, world space) over dt
+    integrate(out, q, w, dt) {
+        const hx = w[0] * dt * 0.5, hy = w[1] * dt * 0.5, hz = w[2] * dt * 0.5;
+        const qx = q[0], qy = q[1], qz = q[2], qw = q[3];
+        out[0] = qx + hx * qw + hy * qz - hz * qy;
+        out[1] = qy + hy * qw + hz * qx - hx * qz;
+        out[2] = qz + hz * qw + hx * qy - hy * qx;
+        out[3] = qw - hx * qx - hy * qy - hz * qz;
+        return quat.normalize(out, out);
+    }
+};
@@ -0,0 +1,185 @@
+/**
+ * Nail Patterns
+ * Parametric generators for classic nail arrangements (grids, heaven nails, roads, windmill
+ * surrounds, side lanes and random scatters), composed into one layout from a seed so a board's
+ * patterns always give the same nails
+ */
+
+import { SeededRandom } from './random.js';
+
+export const NAIL_PATTERN_TYPES = ['grid', 'heaven', 'road', 'windmill', 'lane', 'scatter'];
+
+const JITTER_TRIES = 12;   // Directions tried for a jittered nail before it is dropped
+const SCATTER_TRIES = 30;  // Candidates drawn per scatter nail
+const EPSILON = 1e-9;      // Nails exactly minGap apart still fit
+
+/**
+ * Lay out a board's nails: the hand-placed ones, then each pattern in turn
+ *
+ * A generated nail is dropped when it would come closer than minGap (surface to surface) to an
+ * obstacle or to a nail placed before its pattern, so a ball always fits between neighbouring
+ * patterns. Patterns keep the spacing they were designed with among their own nails, except that
+ * jittered and scattered nails also keep minGap from each other.
+ * @param {Object} nails - Validated board nails: radius, minGap, seed, positions and patterns
+ * @param {Object} context - width and height of the board, windmills ({ x, y, reach }),
+ *     startPocket ({ x, top }) or null, and obstacles: { type: 'circle', x, y, radius },
+ *     { type: 'segment', a, b, radius } or { type: 'box', x, y, halfWidth, halfHeight, angle }
+ * @returns {number[][]} Nail centres [x, y]
+ */
+export function layoutNails(nails, context) {
+    const rng = new SeededRandom(nails.seed);
+    const layout = { ...context, radius: nails.radius, minGap: nails.minGap };
+    const clearance = nails.radius + nails.minGap;
+    const spacing = nails.radius * 2 + nails.minGap;
+    const placed = nails.positions.map(([x, y]) => [x, y]);
+
+    const fits = (x, y, checkUntil) => {
+        if (Math.abs(x) > context.width / 2 || y < 0 || y > context.height) return false;
+        for (const obstacle of context.obstacles) {
+            if (obstacleDistance(obstacle, x, y) < clearance - EPSILON) return false;
+        }
+        for (let i = 0; i < checkUntil; i++) {
+            if (Math.hypot(placed[i][0] - x, placed[i][1] - y) < spacing - EPSILON) return false;
+        }
+        return true;
+    };
+
+    for (const pattern of nails.patterns) {
+        const start = placed.length;
+        const selfCheck = pattern.jitter > 0 || pattern.type === 'scatter';
+        const limit = pattern.type === 'scatter' ? pattern.count : Infinity;
+
+        for (const [x, y] of GENERATORS[pattern.type](pattern, layout, rng)) {
+            if (placed.length - start >= limit) break;
+            const checkUntil = selfCheck ? placed.length : start;
+
+            if (pattern.jitter === 0) {
+                if (fits(x, y, checkUntil)) {
+                    placed.push([x, y]);
+                }
+                continue;
+            }
+            for (let attempt = 0; attempt < JITTER_TRIES; attempt++) {
+                const angle = rng.next() * Math.PI * 2;
+                const distance = pattern.jitter * Math.sqrt(rng.next()); // Uniform over the disc
+                const jx = x + Math.cos(angle) * distance;
+                const jy = y + Math.sin(angle) * distance;
+                if (fits(jx, jy, checkUntil)) {
+                    placed.push([jx, jy]);
+                    break;
+                }
+            }
+        }
+    }
+    return placed;
+}
+
+// Each generator returns its pattern's nail centres, before any are dropped: (pattern, layout, rng) => [[x, y], ...]
+const GENERATORS = {
+    // Staggered rows over a rectangle centred on x, y
+    grid(pattern) {
+        const points = [];
+        const left = pattern.x - pattern.width / 2;
+        const right = pattern.x + pattern.width / 2;
+        const rows = Math.floor(pattern.height / pattern.rowSpacing + EPSILON) + 1;
+        for (let row = 0; row < rows; row++) {
+            const y = pattern.y - pattern.height / 2 + row * pattern.rowSpacing;
+            const offset = pattern.stagger && row % 2 === 1 ? pattern.colSpacing / 2 : 0;
+            for (let x = left + offset; x <= right + EPSILON; x += pattern.colSpacing) {
+                points.push([x, y]);
+            }
+        }
+        return points;
+    },
+
+    // Heaven nails (tenkugi): a pair either side of a gap over the start pocket, and a row above them
+    heaven(pattern, layout) {
+        const x = pattern.x ?? layout.startPocket.x;
+        const y = pattern.y ?? layout.startPocket.top + layout.minGap + layout.radius;
+        const pairOffset = pattern.gap / 2 + layout.radius;
+        const points = [[x - pairOffset, y], [x + pairOffset, y]];
+        for (let i = 0; i < pattern.count; i++) {
+            points.push([x + (i - (pattern.count - 1) / 2) * pattern.spacing, y + pattern.rise]);
+        }
+        return points;
+    },
+
+    // A road (michi): two lines of nails narrowing from width at the top to gap at x, y
+    road(pattern, layout) {
+        const points = [];
+        const bottom = pattern.gap / 2 + layout.radius;
+        const top = pattern.width / 2;
+        const length = Math.hypot(top - bottom, pattern.height);
+        const steps = Math.max(1, Math.ceil(length / pattern.spacing - EPSILON));
+        for (const side of [-1, 1]) {
+            for (let i = 0; i <= steps; i++) {
+                const t = i / steps;
+                points.push([pattern.x + side * (bottom + (top - bottom) * t), pattern.y + pattern.height * t]);
+            }
+        }
+        return points;
+    },
+
+    // An arc of nails around a windmill, just clear of its blades unless given a radius
+    windmill(pattern, layout) {
+        const windmill = layout.windmills[pattern.windmill];
+        const radius = pattern.radius ?? windmill.reach + layout.minGap + layout.radius;
+        const sweep = pattern.to - pattern.from;
+        const closed = Math.abs(sweep) >= 360;
+        const arcLength = Math.abs(sweep) / 180 * Math.PI * radius;
+        const steps = Math.max(1, Math.round(arcLength / pattern.spacing));
+        const points = [];
+        for (let i = 0; i <= (closed ? steps - 1 : steps); i++) {
+            const angle = (pattern.from + sweep * i / steps) / 180 * Math.PI;
+            points.push([windmill.x + Math.cos(angle) * radius, windmill.y + Math.sin(angle) * radius]);
+        }
+        return points;
+    },
+
+    // A column of nails width clear of a side wall, from bottom to top
+    lane(pattern, layout) {
+        const side = pattern.side === 'left' ? -1 : 1;
+        const x = side * (layout.width / 2 - pattern.width - layout.radius);
+        const points = [];
+        for (let y = pattern.bottom; y <= pattern.top + EPSILON; y += pattern.spacing) {
+            points.push([x, y]);
+        }
+        return points;
+    },
+
+    // Random spots over a rectangle centred on x, y; layoutNails() keeps the first count that fit
+    scatter(pattern, layout, rng) {
+        const points = [];
+        for (let i = 0; i < pattern.count * SCATTER_TRIES; i++) {
+            points.push([
+                pattern.x + (rng.next() - 0.5) * pattern.width,
+                pattern.y + (rng.next() - 0.5) * pattern.height
+            ]);
+        }
+        return points;
+    }
+};
+
+// Distance from a point to an obstacle's surface; 0 inside a box
+function obstacleDistance(obstacle, x, y) {
+    if (obstacle.type === 'circle') {
+        return Math.hypot(x - obstacle.x, y - obstacle.y) - obstacle.radius;
+    }
+    if (obstacle.type === 'segment') {
+        const [ax, ay] = obstacle.a;
+        const dx = obstacle.b[0] - ax;
+        const dy = obstacle.b[1] - ay;
+        const lengthSquared = dx * dx + dy * dy;
+        const t = lengthSquared > 0 ? Math.max(0, Math.min(1, ((x - ax) * dx + (y - ay) * dy) / lengthSquared)) : 0;
+        return Math.hypot(x - ax - t * dx, y - ay - t * dy) - obstacle.radius;
+    }
+    // Box, turned by angle (radians) about its centre
+    const cos = Math.cos(obstacle.angle);
+    const sin = Math.sin(obstacle.angle);
+    const localX = (x - obstacle.x) * cos + (y - obstacle.y) * sin;
+    const localY = (y - obstacle.y) * cos - (x - obstacle.x) * sin;
+    return Math.hypot(
+        Math.max(0, Math.abs(localX) - obstacle.halfWidth),
+        Math.max(0, Math.abs(localY) - obstacle.halfHeight)
+    );
+}
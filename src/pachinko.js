@@ -3,50 +3,179 @@
  * Creates and manages the pachinko machine geometry and game logic
  */
 
-import { mat4 } from './math.js';
+import { mat4, quat } from './math.js';
 import { PhysicsBody } from './physics.js';
 import { Geometry } from './geometry.js';
+import { getMaterial } from './materials.js';
+import { ForceField } from './forces.js';
+import { loadBoard, validateBoard, DEFAULT_MATERIALS } from './board.js';
+import { layoutNails } from './nails.js';
+import { SeededRandom } from './random.js';
 
-// Ball launch configuration constants
-const BASE_LAUNCH_VELOCITY = 5;
-const POWER_VELOCITY_MULTIPLIER = 10;
-const HORIZONTAL_VELOCITY_FACTOR = 0.5;
-const VERTICAL_VELOCITY_FACTOR = 0.3;
-const LAUNCH_RANDOMNESS = 2;
-const BALL_RADIUS = 0.18;
+// Stuck ball handling
+const STUCK_POLICIES = ['nudge', 'redrop', 'lost'];
+const NUDGE_SPEED = 2;
+const MAX_NUDGES = 3; // After this many nudges a ball still stuck is counted as lost
+
+// Nails and windmill hubs stick out of the back board, stopping this far short of the glass
+const NAIL_GLASS_GAP = 0.2;
+
+// Windmill (kazaguruma) geometry; boards set position, speed and optionally blade count and length
+const WINDMILL_HUB_RADIUS = 0.08;
+const WINDMILL_BLADE_LENGTH = 0.42;
+const WINDMILL_BLADE_RADIUS = 0.04;
+const WINDMILL_BLADE_COUNT = 4;
+
+// Rails and deflectors default to this thickness; arcs in rail paths are split into RAIL_SEGMENTS pieces
+const RAIL_THICKNESS = 0.1;
+const RAIL_SEGMENTS = 12;
+
+// Catching cups (tulips, the start pocket and the attacker); their petals hinge at the sides of
+// the mouth, and those that move swing between closed and open over GATE_SWING_TIME
+const CUP_PETAL_RADIUS = 0.04;
+const CUP_BASE_HEIGHT = 0.15;
+const GATE_SWING_TIME = 0.25;
+const ATTACKER_ROOF_ANGLE = Math.PI / 12; // Closed attacker flaps slope 15° so balls roll off
+
+// Launch tube beside the right wall: the hammer face is the tube floor
+const HAMMER_HEIGHT = 0.5;
+const HAMMER_THICKNESS = 0.3;
+
+// Every ball draws the same sphere mesh; records of balls that left play are kept for reuse,
+// up to BALL_POOL_SIZE of them
+const BALL_SEGMENTS = 16;
+const BALL_RINGS = 12;
+const BALL_POOL_SIZE = 512;
+
+const FORCE_INDICATOR_THICKNESS = 0.01;
+const WIND_ARROW_LENGTH = 0.3;
+
+// Board files give angles in degrees
+function toRadians(degrees) {
+    return degrees / 180 * Math.PI;
+}
 
 export class PachinkoMachine {
-    constructor(renderer, physics) {
+    /**
+     * @param {Renderer|null} renderer - Pass null to build the board headless (physics only, e.g. in Node)
+     * @param {Physics|WorkerPhysics} physics - Simulation the board's colliders are added to; with
+     *     WorkerPhysics the board is simulated in a worker and balls here only mirror its transforms
+     * @param {Object} [rng] - Random source shared with physics
+     * @param {Object} [options] - board (parsed board JSON, see boards/README.md; init() loads
+     *     boards/default.json without one), stuckPolicy, showForceFields, clearScoredBalls, and
+     *     windmills, deflectors, forceFields and materials to replace those sections of the board
+     */
+    constructor(renderer, physics, rng = physics.rng, options = {}) {
         this.renderer = renderer;
         this.physics = physics;
+        this.rng = rng; // Shared with physics so one seed reproduces a whole run
         this.renderables = [];
+        this.vertexBuffers = new Map(); // GPU buffer per vertex array, so renderables built from one mesh share it
+        this.frameRenderables = []; // Returned by getRenderables(), refilled every frame
         this.balls = [];
+        this.ballPool = [];     // Records of balls that left play, ready for addBall()
+        this.ballMesh = null;   // Shared by every ball; created by init()
+        this.ballsBuilt = 0;    // Records ever created, pooled or not
+        this.nextBallId = 1;
+        this.onBallRemoved = null; // (ball) whenever a ball leaves play for any reason
         this.pins = [];
         this.slots = [];
-        
-        // Machine dimensions
-        this.width = 6;
-        this.height = 12;
-        this.depth = 0.8;
-        
-        // Colors
-        this.colors = {
-            frame: [0.15, 0.1, 0.05],      // Dark wood
-            backBoard: [0.08, 0.08, 0.12], // Dark blue-black
-            pin: [0.9, 0.7, 0.2],          // Gold
-            ball: [0.95, 0.95, 0.98],      // Silver
-            slot: [0.8, 0.2, 0.2],         // Red
-            jackpot: [1.0, 0.84, 0.0],     // Gold
-            divider: [0.6, 0.6, 0.65]      // Silver gray
-        };
+        this.windmills = [];
+        this.tulips = [];
+        this.startPocket = null;
+        this.attacker = null;
+        this.gates = []; // Cups with moving petals: tulips and the attacker
+        this.onGateChanged = null; // (gate) when a gate catches a ball, opens or closes
+        this.showForceFields = options.showForceFields !== false;
+        this.forceFields = [];
+
+        // Layout, dimensions and colours come from the board, set up by init()
+        this.boardData = options.board || null;
+        this.boardOverrides = {};
+        for (const section of ['windmills', 'deflectors', 'forceFields', 'materials']) {
+            if (options[section]) {
+                this.boardOverrides[section] = options[section];
+            }
+        }
+        this.board = null;
+
+        // What to do with a ball that comes to rest before reaching a slot
+        this.setStuckPolicy(options.stuckPolicy || 'nudge');
+        this.lostCount = 0;
+        this.drainedCount = 0;
+        this.onBallStuck = null; // (ball, action) where action is 'nudge', 'redrop' or 'lost'
+        this.foulCount = 0;
+        this.onBallFoul = null; // (ball) when a ball falls back down the launch tube; it leaves play
+
+        // Take balls out of play as soon as they score instead of letting them pile up in the pocket
+        this.clearScoredBalls = options.clearScoredBalls || false;
+
+        // Launcher handle: while it is held the launcher fires at the board's fire rate (see setHandle())
+        this.handle = { held: false, strength: 0.5, timer: 0 };
+        this.onHandleFire = null; // (strength) each time a held handle is due to fire; the caller launches the ball
+
+        // Material per component, and the colliders built with each so they can be swapped together
+        this.materials = {};
+        this.materialBodies = {};
+        for (const component of Object.keys(DEFAULT_MATERIALS)) {
+            this.materials[component] = getMaterial(DEFAULT_MATERIALS[component]);
+            this.materialBodies[component] = [];
+        }
     }
 
     async init() {
+        const data = this.boardData || await loadBoard();
+        this.applyBoard(validateBoard({
+            ...data,
+            ...this.boardOverrides,
+            materials: { ...data.materials, ...this.boardOverrides.materials }
+        }));
+
         this.createBackBoard();
         this.createFrame();
+        this.createWalls();
+        this.createRails();
+        this.createWindmills();
+        this.createTulips();
+        this.createStartPocket();
+        this.createAttacker();
+        this.createForceFields();
         this.createPins();
         this.createSlots();
         this.createLauncher();
+        this.createBallMesh();
+
+        if (this.physics.isRemote) {
+            this.physics.start({
+                seed: this.rng.seed,
+                machineOptions: {
+                    board: this.board,
+                    stuckPolicy: this.stuckPolicy,
+                    clearScoredBalls: this.clearScoredBalls,
+                    materials: this.materials
+                }
+            });
+        }
+    }
+
+    /**
+     * Take dimensions, colours and materials from a validated board
+     * @param {Object} board - validateBoard() output
+     */
+    applyBoard(board) {
+        this.board = board;
+        this.width = board.size.width;
+        this.height = board.size.height;
+        this.depth = board.size.depth;
+        this.ballRadius = board.ball.radius;
+        this.colors = board.colors;
+
+        this.nailBackZ = -this.depth / 2 + 0.05;
+        this.nailFrontZ = this.depth / 2 - NAIL_GLASS_GAP;
+
+        for (const component of Object.keys(board.materials)) {
+            this.materials[component] = getMaterial(board.materials[component]);
+        }
     }
 
     createBackBoard() {
@@ -63,7 +192,7 @@ export class PachinkoMachine {
     }
 
     createFrame() {
-        const frameThickness = 0.3;
+        const frameThickness = this.board.frame.thickness;
         const frameDepth = this.depth;
         
         // Left frame
@@ -75,13 +204,15 @@ export class PachinkoMachine {
         mat4.translate(leftMatrix, leftMatrix, [-this.width / 2 - frameThickness / 2, this.height / 2, 0]);
         this.addRenderable(leftFrame, leftMatrix);
         
-        // Right frame
+        // Right frame doubles as the inner wall of the launch tube: as thick as its collider, and open above the tube
+        const wallThickness = this.board.frame.wallThickness;
+        const tubeTop = this.getLaunchTube().top;
         const rightFrame = Geometry.createBox(
-            frameThickness, this.height, frameDepth,
+            wallThickness, tubeTop, frameDepth,
             this.colors.frame
         );
         const rightMatrix = mat4.create();
-        mat4.translate(rightMatrix, rightMatrix, [this.width / 2 + frameThickness / 2, this.height / 2, 0]);
+        mat4.translate(rightMatrix, rightMatrix, [this.width / 2 + wallThickness / 2, tubeTop / 2, 0]);
         this.addRenderable(rightFrame, rightMatrix);
         
         // Top frame
@@ -103,108 +234,735 @@ export class PachinkoMachine {
         this.addRenderable(bottomFrame, bottomMatrix);
         
         // Add physics walls
-        const wallThickness = 0.5;
-        
         // Left wall
-        this.physics.addStaticBody(new PhysicsBody({
+        this.physics.addStaticBody(this.withMaterial('frame', new PhysicsBody({
             type: 'box',
             isStatic: true,
             min: [-this.width / 2 - wallThickness, 0, -this.depth],
             max: [-this.width / 2, this.height, this.depth]
-        }));
+        })));
         
         // Right wall
-        this.physics.addStaticBody(new PhysicsBody({
+        this.physics.addStaticBody(this.withMaterial('frame', new PhysicsBody({
             type: 'box',
             isStatic: true,
             min: [this.width / 2, 0, -this.depth],
-            max: [this.width / 2 + wallThickness, this.height, this.depth]
-        }));
+            max: [this.width / 2 + wallThickness, tubeTop, this.depth]
+        })));
         
         // Back wall
-        this.physics.addStaticBody(new PhysicsBody({
+        this.physics.addStaticBody(this.withMaterial('frame', new PhysicsBody({
             type: 'box',
             isStatic: true,
             min: [-this.width / 2, 0, -this.depth - wallThickness],
             max: [this.width / 2, this.height, -this.depth / 2]
-        }));
+        })));
         
         // Front glass (transparent, but physics)
-        this.physics.addStaticBody(new PhysicsBody({
+        this.physics.addStaticBody(this.withMaterial('glass', new PhysicsBody({
             type: 'box',
             isStatic: true,
             min: [-this.width / 2, 0, this.depth / 2],
             max: [this.width / 2, this.height, this.depth]
-        }));
+        })));
+    }
+
+    createRails() {
+        for (const rail of this.board.rails) {
+            this.addRail({
+                points: this.getRailPoints(rail.path),
+                thickness: rail.thickness,
+                color: rail.color
+            });
+        }
+
+        for (const layout of this.board.deflectors) {
+            this.addDeflector({ ...layout, angle: toRadians(layout.angle) });
+        }
+    }
+
+    // Expand a board rail path ([x, y] points and arcs) into the rail's centre line
+    getRailPoints(path) {
+        const points = [];
+        for (const step of path) {
+            if (Array.isArray(step)) {
+                points.push(step);
+            } else {
+                points.push(...Geometry.arcPoints(
+                    step.center[0], step.center[1], step.radius,
+                    toRadians(step.from), toRadians(step.to), step.segments || RAIL_SEGMENTS
+                ));
+            }
+        }
+        return points;
+    }
+
+    /**
+     * Add a guide rail: a polyline in the board plane spanning the full depth
+     * @param {Object} options - points ([x, y] centre line), thickness, color, userData
+     * @returns {PhysicsBody} Rail collider
+     */
+    addRail(options) {
+        const thickness = options.thickness || RAIL_THICKNESS;
+        const vertices = Geometry.createRail(options.points, thickness, this.depth, options.color || this.colors.rail);
+        this.addRenderable(vertices, mat4.create());
+
+        const body = new PhysicsBody({
+            type: 'rail',
+            points: options.points,
+            radius: thickness / 2,
+            depth: this.depth,
+            isStatic: true,
+            userData: options.userData || { type: 'rail' }
+        });
+        this.physics.addStaticBody(this.withMaterial('rails', body));
+        return body;
+    }
+
+    /**
+     * Add a slanted deflector: an oriented box turned about Z, spanning the full depth
+     * @param {Object} options - x, y (centre), length, angle (radians), optional thickness
+     * @returns {PhysicsBody} Deflector collider
+     */
+    addDeflector(options) {
+        const thickness = options.thickness || RAIL_THICKNESS;
+        const orientation = quat.fromAxisAngle([0, 0, 0, 1], [0, 0, 1], options.angle);
+        const position = [options.x, options.y, 0];
+
+        const vertices = Geometry.createBox(options.length, thickness, this.depth, this.colors.deflector);
+        this.addRenderable(vertices, mat4.fromRotationTranslation(mat4.create(), orientation, position));
+
+        const body = new PhysicsBody({
+            type: 'orientedBox',
+            position,
+            halfExtents: [options.length / 2, thickness / 2, this.depth / 2],
+            orientation,
+            isStatic: true,
+            userData: { type: 'deflector' }
+        });
+        this.physics.addStaticBody(this.withMaterial('deflectors', body));
+        return body;
+    }
+
+    createWalls() {
+        for (const layout of this.board.walls) {
+            this.addWall({ ...layout, angle: toRadians(layout.angle) });
+        }
+    }
+
+    /**
+     * Add a straight wall spanning the full depth, turned about Z when it has an angle
+     * @param {Object} options - x, y (centre), width, height, angle (radians), color
+     * @returns {PhysicsBody} Wall collider
+     */
+    addWall(options) {
+        const angle = options.angle || 0;
+        const position = [options.x, options.y, 0];
+        const orientation = quat.fromAxisAngle([0, 0, 0, 1], [0, 0, 1], angle);
+
+        const vertices = Geometry.createBox(options.width, options.height, this.depth, options.color || this.colors.wall);
+        this.addRenderable(vertices, mat4.fromRotationTranslation(mat4.create(), orientation, position));
+
+        // Axis-aligned walls stay plain boxes, the cheaper collider
+        const halfWidth = options.width / 2;
+        const halfHeight = options.height / 2;
+        const body = new PhysicsBody(angle === 0 ? {
+            type: 'box',
+            min: [options.x - halfWidth, options.y - halfHeight, -this.depth],
+            max: [options.x + halfWidth, options.y + halfHeight, this.depth],
+            isStatic: true,
+            userData: { type: 'wall' }
+        } : {
+            type: 'orientedBox',
+            position,
+            halfExtents: [halfWidth, halfHeight, this.depth / 2],
+            orientation,
+            isStatic: true,
+            userData: { type: 'wall' }
+        });
+        this.physics.addStaticBody(this.withMaterial('walls', body));
+        return body;
     }
 
     createPins() {
-        const pinRadius = 0.12;
-        const pinHeight = 0.4;
-        const rowSpacing = 0.9;
-        const colSpacing = 0.7;
-        const startY = this.height - 2;
-        const endY = 2;
-        
-        let row = 0;
-        for (let y = startY; y > endY; y -= rowSpacing) {
-            const offset = (row % 2) * (colSpacing / 2);
-            const numPins = Math.floor(this.width / colSpacing) - 1;
-            
-            for (let i = 0; i < numPins; i++) {
-                const x = -this.width / 2 + colSpacing + i * colSpacing + offset;
-                
-                // Create pin geometry (cylinder)
-                const pinVertices = Geometry.createCylinder(
-                    pinRadius, pinHeight, 12,
-                    this.colors.pin
-                );
-                
-                const pinMatrix = mat4.create();
-                mat4.translate(pinMatrix, pinMatrix, [x, y, 0]);
-                this.addRenderable(pinVertices, pinMatrix);
-                
-                // Add physics body
-                const pinBody = new PhysicsBody({
-                    type: 'cylinder',
-                    position: [x, y, 0],
-                    radius: pinRadius,
-                    height: pinHeight,
-                    isStatic: true,
-                    userData: { type: 'pin' }
-                });
-                this.physics.addStaticBody(pinBody);
-                this.pins.push(pinBody);
+        const pinRadius = this.board.nails.radius;
+        const pinLength = this.nailFrontZ - this.nailBackZ;
+        const pinZ = (this.nailBackZ + this.nailFrontZ) / 2;
+
+        // Every nail shares one mesh, uploaded once; only the transform differs
+        const pinVertices = Geometry.createCylinder(pinRadius, pinLength, 12, this.colors.pin);
+
+        for (const [x, y] of this.getNailPositions()) {
+            // Cylinder mesh is built along Y; turn it to face out of the board
+            const pinMatrix = mat4.create();
+            mat4.translate(pinMatrix, pinMatrix, [x, y, pinZ]);
+            mat4.rotateX(pinMatrix, pinMatrix, Math.PI / 2);
+            this.addRenderable(pinVertices, pinMatrix);
+
+            const pinBody = new PhysicsBody({
+                type: 'cylinder',
+                position: [x, y, pinZ],
+                axis: [0, 0, 1],
+                radius: pinRadius,
+                height: pinLength,
+                isStatic: true,
+                userData: { type: 'pin' }
+            });
+            this.physics.addStaticBody(this.withMaterial('pins', pinBody));
+            this.pins.push(pinBody);
+        }
+    }
+
+    /**
+     * Every nail on the board: the hand-placed ones, then those laid out from the board's patterns
+     * Built after the windmills and cups, which generated nails keep clear of
+     * @returns {number[][]} Nail centres [x, y]
+     */
+    getNailPositions() {
+        const nails = this.board.nails;
+        if (nails.patterns.length === 0) return nails.positions;
+
+        const startPocket = this.startPocket && {
+            x: this.startPocket.position[0],
+            top: this.startPocket.position[1] + this.startPocket.petalLength + CUP_PETAL_RADIUS
+        };
+        return layoutNails(nails, {
+            width: this.width,
+            height: this.height,
+            windmills: this.windmills.map(windmill => ({
+                x: windmill.position[0],
+                y: windmill.position[1],
+                reach: windmill.reach
+            })),
+            startPocket,
+            obstacles: this.getNailObstacles()
+        });
+    }
+
+    // Everything generated nails must keep clear of, in the shapes layoutNails() understands
+    getNailObstacles() {
+        const segment = (a, b, radius) => ({ type: 'segment', a, b, radius });
+        const polyline = (points, radius) => points.slice(1).map((point, i) => segment(points[i], point, radius));
+
+        const tube = this.getLaunchTube();
+        const obstacles = [
+            segment([-this.width / 2, 0], [-this.width / 2, this.height], 0),
+            segment([this.width / 2, 0], [this.width / 2, tube.top], 0),
+            ...polyline(this.getGuidePoints(), RAIL_THICKNESS / 2),
+            ...polyline(this.getInnerGuidePoints(), RAIL_THICKNESS / 2),
+            // Pockets and their dividers
+            { type: 'box', x: 0, y: this.board.pockets.height / 2, halfWidth: this.width / 2, halfHeight: this.board.pockets.height / 2, angle: 0 }
+        ];
+
+        for (const rail of this.board.rails) {
+            obstacles.push(...polyline(this.getRailPoints(rail.path), (rail.thickness || RAIL_THICKNESS) / 2));
+        }
+        for (const deflector of this.board.deflectors) {
+            const angle = toRadians(deflector.angle);
+            const dx = Math.cos(angle) * deflector.length / 2;
+            const dy = Math.sin(angle) * deflector.length / 2;
+            obstacles.push(segment(
+                [deflector.x - dx, deflector.y - dy],
+                [deflector.x + dx, deflector.y + dy],
+                (deflector.thickness || RAIL_THICKNESS) / 2
+            ));
+        }
+        for (const wall of this.board.walls) {
+            obstacles.push({
+                type: 'box', x: wall.x, y: wall.y, halfWidth: wall.width / 2, halfHeight: wall.height / 2, angle: toRadians(wall.angle)
+            });
+        }
+        for (const windmill of this.windmills) {
+            obstacles.push({ type: 'circle', x: windmill.position[0], y: windmill.position[1], radius: windmill.reach });
+        }
+
+        // Cups: the base, and each petal closed, half open and open
+        for (const cup of [...this.tulips, this.startPocket, this.attacker]) {
+            if (!cup) continue;
+            const [x, y] = cup.position;
+            obstacles.push({
+                type: 'box', x, y: y - CUP_BASE_HEIGHT / 2, halfWidth: cup.width / 2 + CUP_PETAL_RADIUS, halfHeight: CUP_BASE_HEIGHT / 2, angle: 0
+            });
+            for (const side of [-1, 1]) {
+                const hinge = [x + side * cup.width / 2, y];
+                for (const lean of [cup.closedLean, (cup.closedLean + cup.openLean) / 2, cup.openLean]) {
+                    const angle = Math.PI / 2 - side * lean;
+                    const tip = [hinge[0] + Math.cos(angle) * cup.petalLength, hinge[1] + Math.sin(angle) * cup.petalLength];
+                    obstacles.push(segment(hinge, tip, CUP_PETAL_RADIUS));
+                }
             }
-            row++;
+        }
+        return obstacles;
+    }
+
+    createWindmills() {
+        for (const layout of this.board.windmills) {
+            this.addWindmill({ ...layout, speed: toRadians(layout.speed), phase: toRadians(layout.phase) });
+        }
+    }
+
+    /**
+     * Place a windmill: a static hub with kinematic blades spinning in the board plane
+     * @param {Object} options - x, y, speed (rad/s) and optional bladeCount, bladeLength, phase
+     * @returns {Object} Windmill record
+     */
+    addWindmill(options) {
+        const hubLength = this.nailFrontZ - this.nailBackZ;
+        const hubZ = (this.nailBackZ + this.nailFrontZ) / 2;
+        const windmill = {
+            position: [options.x, options.y, 0],
+            speed: options.speed !== undefined ? options.speed : 2.5,
+            phase: options.phase || 0,
+            bladeCount: options.bladeCount || WINDMILL_BLADE_COUNT,
+            bladeLength: options.bladeLength || WINDMILL_BLADE_LENGTH,
+            blades: []
+        };
+        windmill.reach = WINDMILL_HUB_RADIUS + windmill.bladeLength + WINDMILL_BLADE_RADIUS;
+
+        // Hub
+        const hubMatrix = mat4.create();
+        mat4.translate(hubMatrix, hubMatrix, [options.x, options.y, hubZ]);
+        mat4.rotateX(hubMatrix, hubMatrix, Math.PI / 2);
+        this.addRenderable(Geometry.createCylinder(WINDMILL_HUB_RADIUS, hubLength, 12, this.colors.pin), hubMatrix);
+        this.physics.addStaticBody(this.withMaterial('windmills', new PhysicsBody({
+            type: 'cylinder',
+            position: [options.x, options.y, hubZ],
+            axis: [0, 0, 1],
+            radius: WINDMILL_HUB_RADIUS,
+            height: hubLength,
+            isStatic: true,
+            userData: { type: 'windmill-hub' }
+        })));
+
+        // Blades: capsules whose axis is swept around the hub by physics time
+        const bladeVertices = Geometry.createCylinder(
+            WINDMILL_BLADE_RADIUS, windmill.bladeLength, 8,
+            this.colors.windmill
+        );
+        for (let i = 0; i < windmill.bladeCount; i++) {
+            const offset = (i / windmill.bladeCount) * Math.PI * 2;
+            const body = new PhysicsBody({
+                type: 'capsule',
+                radius: WINDMILL_BLADE_RADIUS,
+                height: windmill.bladeLength,
+                isStatic: true,
+                userData: { type: 'windmill-blade', windmill },
+                kinematic: (time, blade) => this.placeWindmillBlade(windmill, offset, time, blade)
+            });
+            this.physics.addKinematicBody(this.withMaterial('windmills', body));
+
+            const renderable = this.addRenderable(bladeVertices, mat4.create());
+            windmill.blades.push({ body, offset, renderable });
+        }
+
+        this.updateWindmill(windmill);
+        this.windmills.push(windmill);
+        return windmill;
+    }
+
+    createTulips() {
+        for (const layout of this.board.tulips) {
+            this.addTulip({ ...layout, openAngle: toRadians(layout.openAngle) });
+        }
+    }
+
+    /**
+     * Place a tulip: a cup whose two petals swing open when it catches a ball, widening its
+     * mouth until it has caught `captures` more, then close again
+     * @param {Object} options - x, y (centre of the cup floor), payout, captures, width (between
+     *     the hinges), petalLength, openAngle (radians each petal leans out when open), color
+     * @returns {Object} Tulip record
+     */
+    addTulip(options) {
+        const tulip = this.addCup({
+            type: 'tulip',
+            index: this.tulips.length,
+            captures: options.captures,
+            petalLength: options.petalLength,
+            closedLean: 0, // Upright
+            openLean: options.openAngle
+        }, options);
+        this.tulips.push(tulip);
+        return tulip;
+    }
+
+    createStartPocket() {
+        if (this.board.startPocket) {
+            this.addStartPocket(this.board.startPocket);
+        }
+    }
+
+    /**
+     * Place the start pocket (start chucker): a fixed cup where every catch holds a lottery spin
+     * @param {Object} options - x, y (centre of the cup floor), payout, width, postLength, color
+     * @returns {Object} Start pocket record
+     */
+    addStartPocket(options) {
+        this.startPocket = this.addCup({
+            type: 'start',
+            index: 0,
+            petalLength: options.postLength,
+            closedLean: 0,
+            openLean: 0
+        }, options);
+        return this.startPocket;
+    }
+
+    createAttacker() {
+        const layout = this.board.attacker;
+        if (layout) {
+            this.addAttacker({ ...layout, openAngle: toRadians(layout.openAngle) });
+        }
+    }
+
+    /**
+     * Place the attacker: a wide cup under two flaps that meet in a shallow roof while it is
+     * closed, and swing up and out while it is open (see setAttackerOpen())
+     * @param {Object} options - x, y (centre of the cup floor), payout, width, openAngle
+     *     (radians each flap leans out past upright when open), color
+     * @returns {Object} Attacker record
+     */
+    addAttacker(options) {
+        this.attacker = this.addCup({
+            type: 'attacker',
+            index: 0,
+            petalLength: options.width / 2 / Math.cos(ATTACKER_ROOF_ANGLE), // Tips meet over the middle
+            closedLean: ATTACKER_ROOF_ANGLE - Math.PI / 2,
+            openLean: options.openAngle
+        }, options);
+        return this.attacker;
+    }
+
+    /**
+     * Build a catching cup: a base with a sensor on it, and a petal hinged at each side of the mouth
+     * Tulips, the start pocket and the attacker differ only in how their petals lean
+     * @param {Object} cup - Pocket record: type, index, petalLength, and closedLean and openLean
+     *     (radians each petal leans out from upright; negative leans in over the mouth)
+     * @param {Object} options - x, y (centre of the cup floor), payout, width (between the hinges), color
+     * @returns {Object} The record, completed
+     */
+    addCup(cup, options) {
+        Object.assign(cup, {
+            position: [options.x, options.y, 0],
+            payout: options.payout, // Balls paid per catch
+            width: options.width,
+            // Open/closed state, and where the petals were when it last changed so the swing is a pure function of time
+            isOpen: false,
+            changedAt: 0,
+            swingFrom: 0,
+            openCaptures: 0, // Balls caught since it opened
+            captureCount: 0, // Balls caught in total
+            petals: []
+        });
+
+        // Base the cup sits on
+        const baseWidth = options.width + CUP_PETAL_RADIUS * 2;
+        const baseMatrix = mat4.create();
+        mat4.translate(baseMatrix, baseMatrix, [options.x, options.y - CUP_BASE_HEIGHT / 2, 0]);
+        this.addRenderable(Geometry.createBox(baseWidth, CUP_BASE_HEIGHT, this.depth, options.color), baseMatrix);
+        this.physics.addStaticBody(this.withMaterial('tulips', new PhysicsBody({
+            type: 'box',
+            isStatic: true,
+            min: [options.x - baseWidth / 2, options.y - CUP_BASE_HEIGHT, -this.depth],
+            max: [options.x + baseWidth / 2, options.y, this.depth],
+            userData: { type: 'cup-base', pocket: cup }
+        })));
+
+        // Petals: capsules hinged at the sides of the mouth, leaning by the opening at physics time;
+        // petals that never move are plain static colliders
+        const moves = cup.openLean !== cup.closedLean;
+        const petalVertices = Geometry.createCylinder(CUP_PETAL_RADIUS, cup.petalLength, 8, options.color);
+        for (const side of [-1, 1]) {
+            const body = new PhysicsBody({
+                type: 'capsule',
+                radius: CUP_PETAL_RADIUS,
+                height: cup.petalLength,
+                isStatic: true,
+                userData: { type: 'petal', pocket: cup },
+                kinematic: moves ? (time, petal) => this.placePetal(cup, side, time, petal) : null
+            });
+            if (moves) {
+                this.physics.addKinematicBody(this.withMaterial('tulips', body));
+            } else {
+                this.placePetal(cup, side, 0, body);
+                this.physics.addStaticBody(this.withMaterial('tulips', body));
+            }
+
+            const renderable = this.addRenderable(petalVertices, mat4.create());
+            cup.petals.push({ body, side, renderable });
+        }
+        this.updatePetals(cup);
+        if (moves) {
+            this.gates.push(cup);
+        }
+
+        // Catching sensor on the cup floor, between the petals' hinges
+        const inner = options.width / 2 - CUP_PETAL_RADIUS;
+        cup.sensor = this.addSensor({
+            min: [options.x - inner, options.y, -this.depth],
+            max: [options.x + inner, options.y + this.ballRadius, this.depth],
+            userData: { type: cup.type, pocket: cup },
+            onEnter: (body) => this.captureBall(body.userData.ball, cup)
+        });
+        return cup;
+    }
+
+    // 0 (closed) to 1 (open)
+    getGateOpening(gate, time) {
+        const progress = Math.min(1, Math.max(0, (time - gate.changedAt) / GATE_SWING_TIME));
+        const target = gate.isOpen ? 1 : 0;
+        return gate.swingFrom + (target - gate.swingFrom) * progress;
+    }
+
+    // side is -1 for the left petal and 1 for the right
+    getPetalAngle(cup, side, time) {
+        const lean = cup.closedLean + (cup.openLean - cup.closedLean) * this.getGateOpening(cup, time);
+        return Math.PI / 2 - side * lean;
+    }
+
+    placePetal(cup, side, time, petal) {
+        const angle = this.getPetalAngle(cup, side, time);
+        const dx = Math.cos(angle);
+        const dy = Math.sin(angle);
+
+        petal.position[0] = cup.position[0] + side * cup.width / 2 + dx * cup.petalLength / 2;
+        petal.position[1] = cup.position[1] + dy * cup.petalLength / 2;
+        petal.position[2] = cup.position[2];
+        petal.axis[0] = dx;
+        petal.axis[1] = dy;
+        petal.axis[2] = 0;
+    }
+
+    updatePetals(cup) {
+        for (const petal of cup.petals) {
+            const angle = this.getPetalAngle(cup, petal.side, this.physics.time);
+            const matrix = petal.renderable.modelMatrix;
+            mat4.identity(matrix);
+            mat4.translate(matrix, matrix, [
+                cup.position[0] + petal.side * cup.width / 2,
+                cup.position[1],
+                cup.position[2]
+            ]);
+            mat4.rotateZ(matrix, matrix, angle);
+            mat4.translate(matrix, matrix, [cup.petalLength / 2, 0, 0]);
+            mat4.rotateZ(matrix, matrix, -Math.PI / 2); // Cylinder mesh is built along Y
+        }
+    }
+
+    setGateOpen(gate, isOpen) {
+        const time = this.physics.time;
+        gate.swingFrom = this.getGateOpening(gate, time);
+        gate.changedAt = time;
+        gate.isOpen = isOpen;
+        gate.openCaptures = 0;
+    }
+
+    /**
+     * Open or close the attacker (the game opens it for the length of a fever)
+     * @param {boolean} isOpen
+     */
+    setAttackerOpen(isOpen) {
+        const attacker = this.attacker;
+        if (!attacker) return;
+        if (this.physics.isRemote) {
+            // The worker's attacker swings and reports back with a gate event
+            this.physics.configure({ attackerOpen: isOpen });
+            return;
+        }
+        if (attacker.isOpen === isOpen) return;
+
+        this.setGateOpen(attacker, isOpen);
+        if (this.onGateChanged) {
+            this.onGateChanged(attacker);
+        }
+    }
+
+    /**
+     * Score a ball that fell into a cup and take it out of play
+     * A closed tulip opens; an open one closes once it has caught its quota
+     */
+    captureBall(ball, cup) {
+        if (!ball || ball.scored) return;
+        // The sensor also reaches balls brushing the outside of the cup, and over the closed attacker's
+        // roof. Those are checked again each pass while they overlap, so one that rolls in is still caught
+        const inMouth = Math.abs(ball.body.position[0] - cup.position[0]) <= cup.width / 2 - CUP_PETAL_RADIUS;
+        if (!inMouth || (cup.type === 'attacker' && !cup.isOpen)) {
+            this.physics.resetTrigger(cup.sensor, ball.body);
+            return;
+        }
+        this.scoreBall(ball, cup);
+        this.removeBall(ball); // Caught balls drop into the machine whatever clearScoredBalls says
+
+        cup.captureCount++;
+        if (cup.type === 'tulip') {
+            if (!cup.isOpen) {
+                this.setGateOpen(cup, true);
+            } else if (++cup.openCaptures >= cup.captures) {
+                this.setGateOpen(cup, false);
+            }
+        }
+
+        if (this.onGateChanged && this.gates.includes(cup)) {
+            this.onGateChanged(cup);
+        }
+    }
+
+    /**
+     * Pocket a scoring event refers to
+     * @param {string} type - 'slot', 'tulip', 'start' or 'attacker'
+     * @param {number} index
+     */
+    getPocket(type, index) {
+        if (type === 'tulip') return this.tulips[index];
+        if (type === 'start') return this.startPocket;
+        if (type === 'attacker') return this.attacker;
+        return this.slots[index];
+    }
+
+    // The parts of a gate that change during play (saves and worker frames)
+    getGateState(gate) {
+        return {
+            isOpen: gate.isOpen,
+            changedAt: gate.changedAt,
+            swingFrom: gate.swingFrom,
+            openCaptures: gate.openCaptures,
+            captureCount: gate.captureCount
+        };
+    }
+
+    setGateState(gate, state) {
+        gate.isOpen = state.isOpen;
+        gate.changedAt = state.changedAt;
+        gate.swingFrom = state.swingFrom;
+        gate.openCaptures = state.openCaptures;
+        gate.captureCount = state.captureCount;
+        this.updatePetals(gate);
+    }
+
+    createForceFields() {
+        for (const layout of this.board.forceFields) {
+            this.addForceField(layout);
+        }
+    }
+
+    /**
+     * Add a force field spanning the board depth
+     * @param {Object} options - type ('wind', 'attractor' or 'damping'), x, y and either radius
+     *     (circle) or width/height (rectangle), plus the ForceField parameters (direction as [x, y],
+     *     strength, falloff, damping)
+     * @returns {ForceField} The field
+     */
+    addForceField(options) {
+        const isCircle = options.radius !== undefined;
+        const halfWidth = (options.width || 1) / 2;
+        const halfHeight = (options.height || 1) / 2;
+        const direction = options.direction || [0, 1];
+
+        const field = this.physics.addForceField(new ForceField({
+            ...options,
+            shape: isCircle ? 'sphere' : 'box',
+            position: [options.x, options.y, 0],
+            radius: options.radius,
+            // Rectangles reach the glass and the back board so a ball anywhere in the depth is affected
+            min: [options.x - halfWidth, options.y - halfHeight, -this.depth],
+            max: [options.x + halfWidth, options.y + halfHeight, this.depth],
+            direction: [direction[0], direction[1], 0],
+            userData: { type: 'force-field', layout: options }
+        }));
+        this.forceFields.push(field);
+
+        if (this.showForceFields) {
+            this.addForceFieldIndicator(field, options);
+        }
+        return field;
+    }
+
+    // Flat marker on the back board: a tinted patch, plus an arrow for wind
+    addForceFieldIndicator(field, options) {
+        const z = -this.depth / 2 + 0.06;
+        let color = this.colors[field.type];
+        if (field.type === 'attractor' && field.strength < 0) {
+            color = this.colors.repulsor;
+        }
+
+        const matrix = mat4.create();
+        mat4.translate(matrix, matrix, [options.x, options.y, z]);
+        if (field.shape === 'sphere') {
+            mat4.rotateX(matrix, matrix, Math.PI / 2);
+            this.addRenderable(Geometry.createCylinder(options.radius, FORCE_INDICATOR_THICKNESS, 24, color), matrix);
+        } else {
+            this.addRenderable(Geometry.createBox(
+                options.width || 1, options.height || 1, FORCE_INDICATOR_THICKNESS, color
+            ), matrix);
+        }
+
+        if (field.type === 'wind') {
+            const angle = Math.atan2(field.direction[1], field.direction[0]);
+            const barWidth = 0.04;
+            const parts = [
+                [-WIND_ARROW_LENGTH / 2, 0, WIND_ARROW_LENGTH],                   // Shaft, centred
+                [WIND_ARROW_LENGTH / 2, Math.PI * 0.75, WIND_ARROW_LENGTH / 2],   // Head
+                [WIND_ARROW_LENGTH / 2, -Math.PI * 0.75, WIND_ARROW_LENGTH / 2]
+            ];
+            for (const [offset, turn, length] of parts) {
+                const arrowMatrix = mat4.create();
+                mat4.translate(arrowMatrix, arrowMatrix, [options.x, options.y, z + FORCE_INDICATOR_THICKNESS]);
+                mat4.rotateZ(arrowMatrix, arrowMatrix, angle);
+                mat4.translate(arrowMatrix, arrowMatrix, [offset, 0, 0]);
+                mat4.rotateZ(arrowMatrix, arrowMatrix, turn);
+                mat4.translate(arrowMatrix, arrowMatrix, [length / 2, 0, 0]);
+                this.addRenderable(Geometry.createBox(length, barWidth, FORCE_INDICATOR_THICKNESS, this.colors.windArrow), arrowMatrix);
+            }
+        }
+    }
+
+    getWindmillAngle(windmill, offset, time) {
+        return windmill.phase + offset + windmill.speed * time;
+    }
+
+    placeWindmillBlade(windmill, offset, time, blade) {
+        const angle = this.getWindmillAngle(windmill, offset, time);
+        const dx = Math.cos(angle);
+        const dy = Math.sin(angle);
+        const centre = WINDMILL_HUB_RADIUS + windmill.bladeLength / 2;
+
+        blade.position[0] = windmill.position[0] + dx * centre;
+        blade.position[1] = windmill.position[1] + dy * centre;
+        blade.position[2] = windmill.position[2];
+        blade.axis[0] = dx;
+        blade.axis[1] = dy;
+        blade.axis[2] = 0;
+    }
+
+    updateWindmill(windmill) {
+        // Render from the same clock the colliders use
+        for (const blade of windmill.blades) {
+            const angle = this.getWindmillAngle(windmill, blade.offset, this.physics.time);
+            const matrix = blade.renderable.modelMatrix;
+            mat4.identity(matrix);
+            mat4.translate(matrix, matrix, windmill.position);
+            mat4.rotateZ(matrix, matrix, angle);
+            mat4.translate(matrix, matrix, [WINDMILL_HUB_RADIUS + windmill.bladeLength / 2, 0, 0]);
+            mat4.rotateZ(matrix, matrix, -Math.PI / 2); // Cylinder mesh is built along Y
         }
     }
 
     createSlots() {
-        const numSlots = 7;
-        const slotWidth = this.width / numSlots;
-        const slotHeight = 1.5;
-        const dividerWidth = 0.1;
-        
-        // Slot point values (center slots are worth more)
-        const pointValues = [10, 50, 100, 500, 100, 50, 10];
-        const slotColors = [
-            this.colors.slot,
-            this.colors.slot,
-            this.colors.jackpot,
-            [0.2, 0.8, 0.2], // Green jackpot
-            this.colors.jackpot,
-            this.colors.slot,
-            this.colors.slot
-        ];
-        
+        const pockets = this.board.pockets;
+        const numSlots = pockets.slots.length;
+        const slotHeight = pockets.height;
+        const dividerWidth = pockets.dividerWidth;
+
+        let left = -this.width / 2;
         for (let i = 0; i < numSlots; i++) {
-            const x = -this.width / 2 + slotWidth / 2 + i * slotWidth;
+            const slotWidth = pockets.slots[i].width;
+            const x = left + slotWidth / 2;
+            left += slotWidth;
             
             // Slot back
             const slotVertices = Geometry.createBox(
                 slotWidth - dividerWidth, slotHeight, 0.1,
-                slotColors[i]
+                pockets.slots[i].color
             );
             const slotMatrix = mat4.create();
             mat4.translate(slotMatrix, slotMatrix, [x, slotHeight / 2, -this.depth / 2 + 0.1]);
@@ -225,159 +983,771 @@ export class PachinkoMachine {
                 this.addRenderable(dividerVertices, dividerMatrix);
                 
                 // Physics for divider
-                this.physics.addStaticBody(new PhysicsBody({
+                this.physics.addStaticBody(this.withMaterial('dividers', new PhysicsBody({
                     type: 'box',
                     isStatic: true,
                     min: [x + slotWidth / 2 - dividerWidth / 2, 0, -this.depth],
                     max: [x + slotWidth / 2 + dividerWidth / 2, slotHeight, this.depth]
-                }));
+                })));
             }
             
-            // Store slot info for scoring
-            this.slots.push({
+            // Scoring sensor fills the pocket between the dividers, stopping a ball's
+            // diameter below their tops so balls skimming across never register
+            const slot = {
+                type: 'slot',
+                index: i,
                 x: x,
                 minX: x - slotWidth / 2,
                 maxX: x + slotWidth / 2,
-                points: pointValues[i]
+                payout: pockets.slots[i].payout
+            };
+            slot.sensor = this.addSensor({
+                min: [slot.minX + dividerWidth / 2, 0, -this.depth],
+                max: [slot.maxX - dividerWidth / 2, slotHeight - this.ballRadius * 2, this.depth],
+                userData: { type: 'slot', slot },
+                onEnter: (body) => this.scoreBall(body.userData.ball, slot)
             });
+            this.slots.push(slot);
         }
         
         // Floor
-        this.physics.addStaticBody(new PhysicsBody({
+        this.physics.addStaticBody(this.withMaterial('floor', new PhysicsBody({
             type: 'box',
             isStatic: true,
             min: [-this.width / 2, -1, -this.depth],
             max: [this.width / 2, 0, this.depth],
             userData: { type: 'floor' }
+        })));
+
+        // Drain: anything that gets below the floor leaves play
+        this.addSensor({
+            min: [-this.width * 2, -this.height, -this.depth * 4],
+            max: [this.width * 2, -1.5, this.depth * 4],
+            userData: { type: 'drain' },
+            onEnter: (body) => {
+                this.drainedCount++;
+                this.removeBall(body.userData.ball);
+            }
+        });
+    }
+
+    /**
+     * Give a collider its component's material and remember it for setMaterial()
+     * @param {string} component - Key of DEFAULT_MATERIALS
+     * @param {PhysicsBody} body
+     * @returns {PhysicsBody} body
+     */
+    withMaterial(component, body) {
+        body.material = this.materials[component];
+        this.materialBodies[component].push(body);
+        return body;
+    }
+
+    /**
+     * Swap the material of a board component, including colliders already built
+     * @param {string} component - ball, frame, glass, pins, rails, deflectors, walls, windmills, tulips
+     *     (also the start pocket and attacker), dividers or floor
+     * @param {string|Material|Object} material - Preset name, Material or material options
+     */
+    setMaterial(component, material) {
+        if (!(component in DEFAULT_MATERIALS)) {
+            throw new Error(`Unknown component "${component}" (expected ${Object.keys(DEFAULT_MATERIALS).join(', ')})`);
+        }
+        const resolved = getMaterial(material);
+        this.materials[component] = resolved;
+
+        const bodies = component === 'ball' ? this.balls.map(ball => ball.body) : this.materialBodies[component];
+        for (const body of bodies) {
+            body.material = resolved;
+        }
+
+        if (this.physics.isRemote) {
+            this.physics.configure({ materials: { [component]: resolved } });
+        }
+    }
+
+    /**
+     * Add a non-solid box volume that reports balls entering and leaving it
+     * @param {Object} options - min/max corners, userData and onEnter/onExit (body, sensor) callbacks
+     * @returns {PhysicsBody} The trigger body
+     */
+    addSensor(options) {
+        return this.physics.addTrigger(new PhysicsBody({
+            type: 'box',
+            isStatic: true,
+            isTrigger: true,
+            ...options
         }));
     }
 
+    // Guide rail: from the top of the tube's outer wall round the corner and along the top of the
+    // board. Its centre line sits half a thickness outside the faces balls roll on
+    getGuidePoints() {
+        const tube = this.getLaunchTube();
+        const guideRadius = this.board.launcher.guideRadius;
+        const offset = RAIL_THICKNESS / 2;
+        return [
+            ...Geometry.arcPoints(tube.outerX - guideRadius, tube.top, guideRadius + offset, 0, Math.PI / 2, RAIL_SEGMENTS),
+            [-this.width / 2, this.height + offset]
+        ];
+    }
+
+    // Inner guide rail: carries the tube's inner wall on round the corner, a tube width inside the
+    // guide, until it is over the board's right edge. Balls coming back off the board then cannot
+    // drop into the tube over the right wall, and weak shots still come off the guide onto the board
+    getInnerGuidePoints() {
+        const tube = this.getLaunchTube();
+        const guideRadius = this.board.launcher.guideRadius;
+        const centerX = tube.outerX - guideRadius;
+        const radius = guideRadius - this.board.launcher.tubeWidth - RAIL_THICKNESS / 2;
+        const end = Math.acos(Math.max(0, Math.min(1, (this.width / 2 - centerX) / radius)));
+        return Geometry.arcPoints(centerX, tube.top, radius, 0, end, RAIL_SEGMENTS);
+    }
+
+    /**
+     * Where the launch tube runs: up the outside of the right wall, from the hammer to where
+     * the guide rail starts curving over the board
+     * @returns {Object} innerX and outerX (faces of the tube walls), centerX, floor (hammer face) and top
+     */
+    getLaunchTube() {
+        const launcher = this.board.launcher;
+        const innerX = this.width / 2 + this.board.frame.wallThickness;
+        return {
+            innerX,
+            outerX: innerX + launcher.tubeWidth,
+            centerX: innerX + launcher.tubeWidth / 2,
+            floor: HAMMER_HEIGHT,
+            top: this.height - launcher.guideRadius
+        };
+    }
+
     createLauncher() {
-        // Launch tube on the right side
-        const tubeWidth = 0.5;
-        const tubeHeight = this.height - 1;
-        
-        const tubeVertices = Geometry.createBox(
-            tubeWidth, tubeHeight, this.depth,
-            [0.3, 0.3, 0.35]
-        );
-        const tubeMatrix = mat4.create();
-        mat4.translate(tubeMatrix, tubeMatrix, [
-            this.width / 2 + 0.5,
-            tubeHeight / 2 + 0.5,
-            0
-        ]);
-        this.addRenderable(tubeVertices, tubeMatrix);
+        const tube = this.getLaunchTube();
+        const wallThickness = this.board.frame.wallThickness;
+
+        // Back panel of the tube, flush with the back board
+        const panelWidth = tube.outerX - this.width / 2;
+        const panelMatrix = mat4.create();
+        mat4.translate(panelMatrix, panelMatrix, [this.width / 2 + panelWidth / 2, this.height / 2, -this.depth / 2]);
+        this.addRenderable(Geometry.createBox(panelWidth, this.height, 0.1, this.colors.launcher), panelMatrix);
+
+        // Outer wall of the tube, as solid as the side walls: balls meeting head on in the tube hit it hard
+        const wallBottom = tube.floor - HAMMER_THICKNESS;
+        const wallMatrix = mat4.create();
+        mat4.translate(wallMatrix, wallMatrix, [tube.outerX + wallThickness / 2, (wallBottom + tube.top) / 2, 0]);
+        this.addRenderable(Geometry.createBox(wallThickness, tube.top - wallBottom, this.depth, this.colors.frame), wallMatrix);
+        this.physics.addStaticBody(this.withMaterial('frame', new PhysicsBody({
+            type: 'box',
+            isStatic: true,
+            min: [tube.outerX, wallBottom, -this.depth],
+            max: [tube.outerX + wallThickness, tube.top, this.depth]
+        })));
+
+        this.addRail({ points: this.getGuidePoints(), userData: { type: 'guide' } });
+        this.addRail({ points: this.getInnerGuidePoints(), userData: { type: 'guide' } });
+
+        // Back and glass over the tube and the corner, which the board's own only cover between the side walls
+        this.physics.addStaticBody(this.withMaterial('frame', new PhysicsBody({
+            type: 'box',
+            isStatic: true,
+            min: [this.width / 2, 0, -this.depth - wallThickness],
+            max: [tube.outerX, this.height, -this.depth / 2]
+        })));
+        this.physics.addStaticBody(this.withMaterial('glass', new PhysicsBody({
+            type: 'box',
+            isStatic: true,
+            min: [this.width / 2, 0, this.depth / 2],
+            max: [tube.outerX, this.height, this.depth]
+        })));
+
+        // Hammer: the tube floor balls are struck from
+        const hammerMatrix = mat4.create();
+        mat4.translate(hammerMatrix, hammerMatrix, [tube.centerX, tube.floor - HAMMER_THICKNESS / 2, 0]);
+        this.addRenderable(Geometry.createBox(tube.outerX - tube.innerX, HAMMER_THICKNESS, this.depth, this.colors.frame), hammerMatrix);
+        this.physics.addStaticBody(this.withMaterial('frame', new PhysicsBody({
+            type: 'box',
+            isStatic: true,
+            min: [tube.innerX, tube.floor - HAMMER_THICKNESS, -this.depth],
+            max: [tube.outerX, tube.floor, this.depth],
+            userData: { type: 'hammer' }
+        })));
+    }
+
+    // Catch balls coming back down the tube as soon as they turn, before they meet the next ball
+    // coming up: in a tube narrower than two balls the pair wedge against the walls and jam it.
+    // Not a sensor, as what counts is which way a ball is going
+    checkFouls() {
+        const tube = this.getLaunchTube();
+        for (let i = this.balls.length - 1; i >= 0; i--) {
+            const body = this.balls[i].body;
+            if (body.position[0] > tube.innerX && body.position[1] < tube.top && body.velocity[1] <= 0) {
+                this.foulBall(this.balls[i]);
+            }
+        }
     }
 
     addRenderable(vertices, modelMatrix) {
-        const vertexBuffer = this.renderer.createVertexBuffer(vertices);
-        this.renderables.push({
+        // Headless machines keep the transform (windmills still update it) but never touch the GPU
+        let vertexBuffer = this.vertexBuffers.get(vertices) || null;
+        if (!vertexBuffer && this.renderer) {
+            vertexBuffer = this.renderer.createVertexBuffer(vertices);
+            this.vertexBuffers.set(vertices, vertexBuffer);
+        }
+        const renderable = {
             vertexBuffer,
             vertexCount: vertices.length / 9, // 9 floats per vertex
             modelMatrix
-        });
+        };
+        this.renderables.push(renderable);
+        return renderable;
     }
 
-    launchBall(power = 0.5) {
-        // Launch position (top right of the machine)
-        const launchX = this.width / 2 - 0.5;
-        const launchY = this.height - 0.5;
-        const launchZ = 0;
-        
-        // Launch velocity (upward and left with some randomness)
-        const baseVelocity = BASE_LAUNCH_VELOCITY + power * POWER_VELOCITY_MULTIPLIER;
-        const velocityX = -baseVelocity * HORIZONTAL_VELOCITY_FACTOR + (Math.random() - 0.5) * LAUNCH_RANDOMNESS;
-        const velocityY = baseVelocity * VERTICAL_VELOCITY_FACTOR;
-        const velocityZ = 0;
-        
-        // Create ball physics body
+    /**
+     * Hold or release the launcher handle, and set how far it is turned
+     * A held handle fires once straight away, then every 60 / fireRate seconds while it stays held
+     * @param {boolean} held
+     * @param {number} [strength] - Handle rotation (0-1), used as the launch power; unchanged if omitted
+     */
+    setHandle(held, strength = this.handle.strength) {
+        const handle = this.handle;
+        if (held && !handle.held) {
+            handle.timer = this.getFireInterval(); // Due at once
+        }
+        handle.held = held;
+        handle.strength = Math.min(1, Math.max(0, strength));
+    }
+
+    // Seconds between shots from a held handle
+    getFireInterval() {
+        return 60 / this.board.launcher.fireRate;
+    }
+
+    updateHandle(deltaTime) {
+        const handle = this.handle;
+        if (!handle.held) return;
+
+        const interval = this.getFireInterval();
+        handle.timer += deltaTime;
+        while (handle.timer >= interval) {
+            handle.timer -= interval;
+            if (this.onHandleFire) {
+                this.onHandleFire(handle.strength);
+            }
+        }
+    }
+
+    /**
+     * Fire a ball from the launcher
+     * @param {number} power - Launch power (0-1)
+     * @param {number} [id] - Ball id; the worker passes the id the main thread assigned
+     * @returns {Object} Ball record
+     */
+    launchBall(power = 0.5, id = this.nextBallId++) {
+        const launcher = this.board.launcher;
+        const tube = this.getLaunchTube();
+
+        // The hammer strikes the ball straight up the tube; the guide rail decides where it lands
+        let speed = 0;
+        if (this.physics.isRemote) {
+            // The worker draws the jitter and simulates; this body only mirrors its transform
+            this.physics.launch(id, power);
+        } else {
+            speed = launcher.baseVelocity + power * launcher.powerVelocity + (this.rng.next() - 0.5) * launcher.randomness;
+        }
+
+        return this.addBall(id, [tube.centerX, tube.floor + this.ballRadius, 0], [0, speed, 0]);
+    }
+
+    /**
+     * Take a ball out of play that fell back down the launch tube without reaching the board
+     * Real machines return foul balls to the tray
+     * @param {Object} ball
+     */
+    foulBall(ball) {
+        if (!ball) return;
+        this.foulCount++;
+        if (this.onBallFoul) {
+            this.onBallFoul(ball);
+        }
+        this.removeBall(ball);
+    }
+
+    // One sphere mesh for every ball: each draw only differs in its model matrix
+    createBallMesh() {
+        if (!this.renderer) return;
+        const vertices = Geometry.createSphere(
+            this.ballRadius, BALL_SEGMENTS, BALL_RINGS,
+            this.colors.ball,
+            this.colors.ballStripe
+        );
+        this.ballMesh = {
+            vertexBuffer: this.renderer.createVertexBuffer(vertices),
+            vertexCount: vertices.length / 9
+        };
+    }
+
+    /**
+     * Put a ball into play (launched or restored from a save)
+     * The record and its body may be reused from a ball that left play; don't hold on to one
+     * after onBallRemoved
+     * @param {number} id - Ball id
+     * @param {number[]} position
+     * @param {number[]} velocity
+     * @returns {Object} Ball record
+     */
+    addBall(id, position, velocity) {
+        // Ids may be handed in (worker, restore); never issue one that is already taken
+        this.nextBallId = Math.max(this.nextBallId, id + 1);
+
+        const ball = this.ballPool.pop() || this.createBallRecord();
+        const body = ball.body;
+        ball.id = id;
+        ball.scored = false;
+        ball.resting = false;
+        ball.nudges = 0;
+        ball.stress = false;
+        ball.onScore = null;
+
+        // Start the body over as if it were new
+        for (let i = 0; i < 3; i++) {
+            body.position[i] = position[i];
+            body.velocity[i] = velocity[i];
+            body.angularVelocity[i] = 0;
+        }
+        body.orientation[0] = body.orientation[1] = body.orientation[2] = 0;
+        body.orientation[3] = 1;
+        body.material = this.materials.ball; // Pooled bodies missed any setMaterial() since they left
+        this.physics.wake(body);
+        mat4.fromRotationTranslation(ball.modelMatrix, body.orientation, body.position);
+
+        this.physics.addBody(body);
+        this.balls.push(ball);
+
+        return ball;
+    }
+
+    createBallRecord() {
         const ballBody = new PhysicsBody({
-            position: [launchX, launchY, launchZ],
-            velocity: [velocityX, velocityY, velocityZ],
-            radius: BALL_RADIUS,
+            radius: this.ballRadius,
             mass: 1,
-            type: 'sphere'
+            type: 'sphere',
+            material: this.materials.ball,
+            userData: { type: 'ball' }
         });
-        
-        // Create ball visual
-        const ballVertices = Geometry.createSphere(
-            BALL_RADIUS, 16, 12,
-            this.colors.ball
-        );
-        
+
+        const modelMatrix = mat4.create();
         const ball = {
+            id: 0,
             body: ballBody,
-            vertices: ballVertices,
-            vertexBuffer: this.renderer.createVertexBuffer(ballVertices),
-            vertexCount: ballVertices.length / 9,
-            modelMatrix: mat4.create(),
+            modelMatrix,
+            // Drawn with the shared ball mesh; kept with the record so frames allocate nothing per ball
+            renderable: this.ballMesh && {
+                vertexBuffer: this.ballMesh.vertexBuffer,
+                vertexCount: this.ballMesh.vertexCount,
+                modelMatrix
+            },
             scored: false,
+            resting: false,
+            nudges: 0,
+            stress: false, // Set by the game for balls it fires outside the ball economy
             onScore: null
         };
-        
-        // Collision callback
-        ballBody.onCollision = (other) => {
-            // Could add sound effects here
+        ballBody.userData.ball = ball;
+
+        // Collision callback, once per contact per substep with the normal impulse it took
+        ballBody.onCollision = (other, impulse) => {
+            // Could add sound effects here, scaled by impulse
         };
-        
-        this.physics.addBody(ballBody);
-        this.balls.push(ball);
-        
+
+        // Physics reports rest mid-step; act on it in update()
+        ballBody.onSleep = () => {
+            ball.resting = true;
+        };
+
+        this.ballsBuilt++;
         return ball;
     }
 
+    // Keep a record that left play for the next addBall()
+    releaseBall(ball) {
+        ball.onScore = null;
+        if (this.ballPool.length < BALL_POOL_SIZE) {
+            this.ballPool.push(ball);
+        }
+    }
+
     update(deltaTime) {
-        // Update ball positions and check for scoring
+        if (this.physics.isRemote) {
+            this.applyWorkerFrame();
+        }
+
+        this.updateHandle(deltaTime);
+        if (!this.physics.isRemote) {
+            this.checkFouls(); // The worker reports its fouls
+        }
+        for (const windmill of this.windmills) {
+            this.updateWindmill(windmill);
+        }
+        for (const gate of this.gates) {
+            this.updatePetals(gate);
+        }
+
+        // Sync ball transforms and deal with balls that came to rest (scoring is sensor-driven)
         for (let i = this.balls.length - 1; i >= 0; i--) {
             const ball = this.balls[i];
             
-            // Update model matrix based on physics position
-            mat4.identity(ball.modelMatrix);
-            mat4.translate(ball.modelMatrix, ball.modelMatrix, ball.body.position);
+            // Update model matrix based on physics position and spin
+            mat4.fromRotationTranslation(ball.modelMatrix, ball.body.orientation, ball.body.position);
             
-            // Check if ball has fallen into a slot
-            if (!ball.scored && ball.body.position[1] < 0.5) {
-                const x = ball.body.position[0];
-                for (const slot of this.slots) {
-                    if (x >= slot.minX && x <= slot.maxX) {
-                        ball.scored = true;
-                        if (ball.onScore) {
-                            ball.onScore(slot.points);
-                        }
-                        break;
-                    }
+            // A ball at rest outside the slots is wedged on nails or a divider top
+            if (ball.resting) {
+                ball.resting = false;
+                if (!ball.scored) {
+                    this.handleStuckBall(ball);
                 }
             }
-            
-            // Remove balls that have fallen off
-            if (ball.body.position[1] < -2) {
-                this.physics.removeBody(ball.body);
-                this.balls.splice(i, 1);
+        }
+    }
+
+    scoreBall(ball, slot) {
+        if (!ball || ball.scored) return;
+        ball.scored = true;
+        if (ball.onScore) {
+            ball.onScore(slot.payout, slot);
+        }
+        if (this.clearScoredBalls) {
+            this.removeBall(ball);
+        }
+    }
+
+    removeBall(ball) {
+        const index = this.balls.indexOf(ball);
+        if (index === -1) return;
+        this.balls.splice(index, 1);
+        this.physics.removeBody(ball.body);
+
+        if (this.onBallRemoved) {
+            this.onBallRemoved(ball);
+        }
+        this.releaseBall(ball);
+    }
+
+    /**
+     * Copy the latest worker transforms into the ball bodies and replay its events
+     */
+    applyWorkerFrame() {
+        const frame = this.physics.takeFrame();
+        if (!frame) return;
+
+        const ballsById = new Map();
+        for (const ball of this.balls) {
+            ballsById.set(ball.id, ball);
+        }
+
+        const transforms = frame.transforms;
+        for (let i = 0; i < frame.count; i++) {
+            const offset = i * 8; // id, position xyz, orientation xyzw
+            const ball = ballsById.get(frame.ids[offset]);
+            if (!ball) continue; // Removed here already (e.g. after a reset)
+
+            const body = ball.body;
+            body.position[0] = transforms[offset + 1];
+            body.position[1] = transforms[offset + 2];
+            body.position[2] = transforms[offset + 3];
+            body.orientation[0] = transforms[offset + 4];
+            body.orientation[1] = transforms[offset + 5];
+            body.orientation[2] = transforms[offset + 6];
+            body.orientation[3] = transforms[offset + 7];
+        }
+
+        // Counters first so stuck handlers see the worker's totals
+        this.lostCount = frame.lostCount;
+        this.drainedCount = frame.drainedCount;
+        this.foulCount = frame.foulCount;
+
+        for (const event of frame.events) {
+            if (event.type === 'gate') {
+                this.setGateState(this.gates[event.gate], event.state);
+                continue;
             }
+
+            const ball = ballsById.get(event.id);
+            if (!ball) continue;
+
+            if (event.type === 'score') {
+                this.scoreBall(ball, this.getPocket(event.pocket, event.slot));
+            } else if (event.type === 'stuck') {
+                if (this.onBallStuck) {
+                    this.onBallStuck(ball, event.action);
+                }
+            } else if (event.type === 'foul') {
+                if (this.onBallFoul) {
+                    this.onBallFoul(ball);
+                }
+            } else if (event.type === 'removed') {
+                this.removeBall(ball);
+            }
+        }
+
+        this.physics.releaseFrame(frame);
+    }
+
+    setStuckPolicy(policy) {
+        if (!STUCK_POLICIES.includes(policy)) {
+            throw new Error(`Unknown stuck policy "${policy}" (expected ${STUCK_POLICIES.join(', ')})`);
+        }
+        this.stuckPolicy = policy;
+
+        if (this.physics.isRemote) {
+            this.physics.configure({ stuckPolicy: policy });
+        }
+    }
+
+    /**
+     * Apply the stuck policy to a resting, unscored ball
+     * @param {Object} ball - Ball record from launchBall()
+     */
+    handleStuckBall(ball) {
+        // A ball that settles in the launch tube never reached the board
+        if (ball.body.position[0] > this.width / 2) {
+            this.foulBall(ball);
+            return;
+        }
+
+        let action = this.stuckPolicy;
+        if (action === 'nudge' && ball.nudges >= MAX_NUDGES) {
+            action = 'lost';
+        }
+
+        const body = ball.body;
+        if (action === 'nudge') {
+            // Knock it loose: upward with a random sideways component
+            ball.nudges++;
+            this.physics.wake(body);
+            body.velocity[0] = (this.rng.next() - 0.5) * 2 * NUDGE_SPEED;
+            body.velocity[1] = NUDGE_SPEED;
+        } else if (action === 'redrop') {
+            // Drop it again from above the nail field, at the same X
+            const maxX = this.width / 2 - body.radius;
+            this.physics.wake(body);
+            body.position[0] = Math.max(-maxX, Math.min(body.position[0], maxX));
+            body.position[1] = this.height - 1;
+            body.velocity[0] = body.velocity[1] = body.velocity[2] = 0;
+        }
+
+        // Before removal, which hands a lost ball's record back to the pool
+        if (this.onBallStuck) {
+            this.onBallStuck(ball, action);
+        }
+
+        if (action === 'lost') {
+            this.removeBall(ball);
+            this.lostCount++;
         }
     }
 
+    /**
+     * Static renderables plus one per ball
+     * The array is reused by the next call, so draw it before asking again
+     * @returns {Object[]}
+     */
     getRenderables() {
-        // Return all static renderables plus ball renderables
-        const allRenderables = [...this.renderables];
-        
-        for (const ball of this.balls) {
-            allRenderables.push({
-                vertexBuffer: ball.vertexBuffer,
-                vertexCount: ball.vertexCount,
-                modelMatrix: ball.modelMatrix
-            });
+        const frame = this.frameRenderables;
+        frame.length = 0;
+        for (const renderable of this.renderables) {
+            frame.push(renderable);
         }
-        
-        return allRenderables;
+
+        if (this.ballMesh) {
+            for (const ball of this.balls) {
+                frame.push(ball.renderable);
+            }
+        }
+
+        return frame;
     }
 
     reset() {
-        // Remove all balls
+        this.clearBalls();
+        this.setHandle(false);
+        this.lostCount = 0;
+        this.drainedCount = 0;
+        this.foulCount = 0;
+        for (const gate of this.gates) {
+            this.setGateState(gate, { isOpen: false, changedAt: 0, swingFrom: 0, openCaptures: 0, captureCount: 0 });
+        }
+
+        if (this.physics.isRemote) {
+            this.physics.reset(this.rng.seed);
+        } else {
+            // Windmills and tulip petals move with the clock, so a reseeded game must start it from zero too
+            this.physics.reset();
+        }
+    }
+
+    clearBalls() {
         for (const ball of this.balls) {
             this.physics.removeBody(ball.body);
+            this.releaseBall(ball);
         }
         this.balls = [];
     }
+
+    /**
+     * Release the GPU buffers of every mesh before the machine is replaced (e.g. by the board editor)
+     * The physics it was built against is left alone
+     */
+    dispose() {
+        this.clearBalls();
+        this.ballPool = [];
+        if (this.ballMesh) {
+            this.ballMesh.vertexBuffer.destroy();
+            this.ballMesh = null;
+        }
+        for (const vertexBuffer of this.vertexBuffers.values()) {
+            vertexBuffer.destroy();
+        }
+        this.vertexBuffers.clear();
+        this.renderables = [];
+    }
+
+    /**
+     * Ball bookkeeping, for checking that long sessions stay flat
+     * @returns {Object} inPlay, pooled and built ball records, and the GPU buffers the machine holds
+     */
+    getBallStats() {
+        return {
+            inPlay: this.balls.length,
+            pooled: this.ballPool.length,
+            built: this.ballsBuilt,
+            gpuBuffers: this.vertexBuffers.size + (this.ballMesh ? 1 : 0)
+        };
+    }
+
+    /**
+     * Snapshot of the machine and its simulation as plain JSON
+     * With worker physics the snapshot is taken by the worker, which owns the real state
+     * @returns {Promise<Object>}
+     */
+    async serialize() {
+        if (this.physics.isRemote) {
+            const state = await this.physics.serializeMachine();
+            // The worker's balls never get the flags the game sets on ours
+            const stress = new Set(this.balls.filter(ball => ball.stress).map(ball => ball.id));
+            for (const saved of state.balls) {
+                saved.stress = stress.has(saved.id);
+            }
+            return state;
+        }
+
+        const materials = {};
+        for (const component of Object.keys(this.materials)) {
+            materials[component] = { ...this.materials[component] };
+        }
+
+        return {
+            layout: this.getLayout(),
+            physics: this.physics.serialize(),
+            nextBallId: this.nextBallId,
+            lostCount: this.lostCount,
+            drainedCount: this.drainedCount,
+            foulCount: this.foulCount,
+            stuckPolicy: this.stuckPolicy,
+            materials,
+            gates: this.gates.map(gate => this.getGateState(gate)),
+            balls: this.balls.map(ball => ({
+                id: ball.id,
+                scored: ball.scored,
+                resting: ball.resting,
+                nudges: ball.nudges,
+                stress: ball.stress,
+                body: this.physics.serializeBody(ball.body)
+            }))
+        };
+    }
+
+    // What a snapshot must agree on with the machine it is restored into: gates are restored by index
+    getLayout() {
+        return {
+            board: this.board.name,
+            tulips: this.tulips.length,
+            startPocket: this.startPocket !== null,
+            attacker: this.attacker !== null,
+            gates: this.gates.length,
+            nails: this.pins.length,
+            // Edited nails or walls would leave saved balls inside them, even with the same counts
+            geometry: SeededRandom.hashString(JSON.stringify({
+                nails: this.pins.map(pin => [pin.position[0], pin.position[1]]),
+                rails: this.board.rails,
+                deflectors: this.board.deflectors,
+                walls: this.board.walls
+            }))
+        };
+    }
+
+    /**
+     * Check that a serialize() snapshot was taken on this board, before anything is restored from it
+     * @param {Object} state
+     * @throws {Error} If the snapshot is from another board, or this board has changed since
+     */
+    checkLayout(state) {
+        const layout = this.getLayout();
+        const saved = state.layout || {};
+        if (saved.board !== layout.board) {
+            throw new Error(`Saved on the board "${saved.board}", not "${layout.board}"`);
+        }
+        for (const key of Object.keys(layout)) {
+            if (key === 'geometry' && saved.geometry !== layout.geometry) {
+                throw new Error(`Saved before the nails or walls of the board "${layout.board}" were changed`);
+            }
+            if (saved[key] !== layout[key]) {
+                throw new Error(`Saved when the board "${layout.board}" had ${key} ${saved[key]}, it now has ${layout[key]}`);
+            }
+        }
+    }
+
+    /**
+     * Replace every ball and counter with a serialize() snapshot
+     * Balls come back without onScore handlers; the caller reattaches them
+     * @param {Object} state - Snapshot that passes checkLayout()
+     */
+    restore(state) {
+        this.clearBalls();
+        this.nextBallId = state.nextBallId;
+        this.lostCount = state.lostCount;
+        this.drainedCount = state.drainedCount;
+        this.foulCount = state.foulCount;
+        this.setStuckPolicy(state.stuckPolicy);
+        for (const component of Object.keys(state.materials)) {
+            this.setMaterial(component, state.materials[component]);
+        }
+
+        // Gates first: restoring physics moves their petals to the restored time
+        this.gates.forEach((gate, i) => this.setGateState(gate, state.gates[i]));
+        if (this.physics.isRemote) {
+            this.physics.restoreMachine(state);
+        } else {
+            this.physics.restore(state.physics);
+        }
+
+        for (const saved of state.balls) {
+            const ball = this.addBall(saved.id, [...saved.body.position], [...saved.body.velocity]);
+            ball.scored = saved.scored;
+            ball.resting = saved.resting;
+            ball.nudges = saved.nudges;
+            ball.stress = saved.stress;
+            if (this.physics.isRemote) {
+                ball.body.orientation = [...saved.body.orientation];
+            } else {
+                this.physics.restoreBody(ball.body, saved.body);
+            }
+        }
+
+        for (const windmill of this.windmills) {
+            this.updateWindmill(windmill);
+        }
+        for (const gate of this.gates) {
+            this.updatePetals(gate);
+        }
+    }
 }
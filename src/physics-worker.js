@@ -0,0 +1,169 @@
+/**
+ * Physics Worker
+ * Runs a headless PachinkoMachine off the main thread and streams ball
+ * transforms and game events back to WorkerPhysics
+ */
+
+import { Physics } from './physics.js';
+import { PachinkoMachine } from './pachinko.js';
+import { SeededRandom } from './random.js';
+
+// Worker configuration constants
+const FLOATS_PER_BALL = 8; // id (written as a Uint32), position xyz, orientation xyzw
+
+let rng = null;
+let physics = null;
+let machine = null;
+let events = [];
+let generation = 0; // Echoed in frames so the main thread can drop ones from before a reset
+
+// Messages are handled strictly in order, even though init() is async
+let queue = Promise.resolve();
+self.onmessage = (event) => {
+    queue = queue.then(() => handle(event.data)).catch((error) => {
+        console.error('Physics worker:', error);
+    });
+};
+
+async function handle(message) {
+    switch (message.type) {
+        case 'init':
+            await init(message);
+            break;
+        case 'configure':
+            configure(message.machineOptions);
+            break;
+        case 'launch':
+            launch(message.power, message.id);
+            break;
+        case 'step':
+            step(message.deltaTime, message.buffer);
+            break;
+        case 'reset':
+            rng.setSeed(message.seed);
+            machine.reset(); // Also rewinds the physics clock
+            events = [];
+            generation = message.generation;
+            break;
+        case 'serialize':
+            self.postMessage({ type: 'state', state: await machine.serialize() });
+            break;
+        case 'remove':
+            removeBody(message.list, message.index);
+            break;
+        case 'updateStaticBody': {
+            const body = physics.staticBodies[message.index];
+            Object.assign(body, message.shape);
+            physics.updateStaticBody(body);
+            break;
+        }
+        case 'restore':
+            machine.restore(message.state);
+            for (const ball of machine.balls) {
+                trackBall(ball);
+            }
+            events = [];
+            generation = message.generation;
+            break;
+    }
+}
+
+async function init(message) {
+    rng = new SeededRandom(message.seed);
+    physics = new Physics({ rng, fixedTimeStep: message.fixedTimeStep });
+    machine = new PachinkoMachine(null, physics, rng, message.machineOptions);
+    await machine.init();
+
+    machine.onBallStuck = (ball, action) => {
+        events.push({ type: 'stuck', id: ball.id, action });
+    };
+    machine.onBallFoul = (ball) => {
+        events.push({ type: 'foul', id: ball.id });
+    };
+    machine.onBallRemoved = (ball) => {
+        events.push({ type: 'removed', id: ball.id });
+    };
+    machine.onGateChanged = (gate) => {
+        events.push({ type: 'gate', gate: machine.gates.indexOf(gate), state: machine.getGateState(gate) });
+    };
+}
+
+function launch(power, id) {
+    // Same id as the main thread's ball so its events can be matched up
+    trackBall(machine.launchBall(power, id));
+}
+
+function trackBall(ball) {
+    ball.onScore = (payout, slot) => {
+        events.push({ type: 'score', id: ball.id, slot: slot.index, pocket: slot.type });
+    };
+}
+
+// Board bodies are matched with the main thread's by their index in the same list
+function removeBody(list, index) {
+    const item = physics[list][index];
+    switch (list) {
+        case 'staticBodies':
+            physics.removeStaticBody(item);
+            break;
+        case 'kinematicBodies':
+            physics.removeKinematicBody(item);
+            break;
+        case 'triggers':
+            physics.removeTrigger(item);
+            break;
+        case 'forceFields':
+            physics.removeForceField(item);
+            break;
+    }
+}
+
+function configure(machineOptions) {
+    if (machineOptions.stuckPolicy) {
+        machine.setStuckPolicy(machineOptions.stuckPolicy);
+    }
+    if (machineOptions.clearScoredBalls !== undefined) {
+        machine.clearScoredBalls = machineOptions.clearScoredBalls;
+    }
+    if (machineOptions.attackerOpen !== undefined) {
+        machine.setAttackerOpen(machineOptions.attackerOpen);
+    }
+    for (const component of Object.keys(machineOptions.materials || {})) {
+        machine.setMaterial(component, machineOptions.materials[component]);
+    }
+}
+
+function step(deltaTime, buffer) {
+    physics.update(deltaTime);
+    machine.update(deltaTime);
+
+    const required = machine.balls.length * FLOATS_PER_BALL;
+    let transforms = new Float32Array(buffer);
+    if (transforms.length < required) {
+        transforms = new Float32Array(required * 2);
+    }
+    // Ids grow without bound over a session and a float slot would round them past 2^24
+    const ids = new Uint32Array(transforms.buffer);
+
+    for (let i = 0; i < machine.balls.length; i++) {
+        const body = machine.balls[i].body;
+        const offset = i * FLOATS_PER_BALL;
+        ids[offset] = machine.balls[i].id;
+        transforms.set(body.position, offset + 1);
+        transforms.set(body.orientation, offset + 4);
+    }
+
+    self.postMessage({
+        type: 'frame',
+        buffer: transforms.buffer,
+        count: machine.balls.length,
+        time: physics.time,
+        generation,
+        stats: { ...physics.stats },
+        events,
+        lostCount: machine.lostCount,
+        drainedCount: machine.drainedCount,
+        foulCount: machine.foulCount
+    }, [transforms.buffer]);
+    events = [];
+}
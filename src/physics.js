@@ -3,19 +3,112 @@
  * Handles ball physics, collisions, and gravity
  */
 
-import { vec3 } from './math.js';
+import { vec3, quat } from './math.js';
+import { SeededRandom } from './random.js';
+import { SpatialHash } from './broadphase.js';
+import { MATERIALS, combineMaterials } from './materials.js';
 
 // Physics configuration constants
 const VELOCITY_THRESHOLD = 0.1;
 const PERTURBATION_STRENGTH = 0.1;
+const FIXED_TIME_STEP = 1 / 60;
+const DEFAULT_SUBSTEPS = 4;
+const MAX_STEPS_PER_UPDATE = 8;
+const BALL_SOLVER_ITERATIONS = 4;
+const CONTACT_ITERATIONS = 4; // Passes over a ball's static contacts when it touches several at once
+const RESTING_SPEED = 0.5; // Approach speed below which contacts stop bouncing (keeps stacks still)
+const NO_CONTACT = -1; // Narrowphase result when the shapes do not touch
+
+// Sleep constants: a body that stays within SLEEP_DISTANCE of where it settled,
+// moving slower than SLEEP_SPEED, for SLEEP_TIME seconds is put to sleep
+const SLEEP_SPEED = 0.75;
+const SLEEP_DISTANCE = 0.05;
+const SLEEP_TIME = 2;
+const WAKE_SPEED = 1; // Approach speed at which a moving ball wakes a sleeping one
+
+// Continuous collision constants
+const CCD_MOTION_THRESHOLD = 0.5; // Sweep when a substep moves further than this fraction of the radius
+const CCD_MAX_ITERATIONS = 32;
+const CCD_TOLERANCE = 0.001;
 
 export class Physics {
-    constructor() {
+    constructor(options = {}) {
         this.gravity = -15; // Gravity acceleration (stronger for game feel)
-        this.restitution = 0.6; // Bounce factor
-        this.friction = 0.98; // Air/rolling friction
+        this.airDrag = 0.995; // Linear and angular air drag, applied per 1/60 s
         this.bodies = [];
         this.staticBodies = []; // Pins and walls
+
+        // Bounce and friction come from the materials of the two bodies in contact;
+        // bodies without a material use this one
+        this.defaultMaterial = options.defaultMaterial || MATERIALS.default;
+        this.contactMaterial = { restitution: 0, friction: 0, rollingFriction: 0, damping: 0 };
+
+        // Fixed timestep: real time is accumulated and consumed in whole steps,
+        // each split into substeps, so the simulation speed never depends on frame rate
+        this.fixedTimeStep = options.fixedTimeStep || FIXED_TIME_STEP;
+        this.substeps = options.substeps || DEFAULT_SUBSTEPS;
+        this.maxStepsPerUpdate = options.maxStepsPerUpdate || MAX_STEPS_PER_UPDATE;
+        this.accumulator = 0;
+        this.substepDelta = this.fixedTimeStep / this.substeps;
+        this.continuousCollision = options.continuousCollision !== false;
+
+        // Ball-vs-ball contacts are relaxed several times per substep so piles settle
+        this.ballCollisions = options.ballCollisions !== false;
+        this.ballSolverIterations = options.ballSolverIterations || BALL_SOLVER_ITERATIONS;
+        this.sortedBodies = [];
+        this.ballContacts = []; // Flat a, b pairs found this substep
+        this.ballImpulses = [];
+
+        // Static contacts of one ball, revisited so a ball wedged between colliders settles
+        this.contactIterations = options.contactIterations || CONTACT_ITERATIONS;
+        this.contacts = [];
+        this.contactImpulses = [];
+
+        // Kinematic bodies follow a scripted transform; their motion is passed on to balls they hit
+        this.kinematicBodies = [];
+        this.time = 0;
+        this.surfaceVelocity = [0, 0, 0];
+
+        // Force fields (wind, attractors, damping) acting on dynamic bodies inside their region
+        this.forceFields = [];
+
+        // Non-solid trigger volumes, kept apart from colliders so they never appear in contact tests
+        this.triggers = [];
+        this.triggerBroadphase = new SpatialHash(options.broadphaseCellSize);
+        this.triggerEvents = [];
+        this.triggerStamp = 0;
+
+        // Resting bodies are put to sleep (skipped) and reported through body.onSleep
+        this.allowSleep = options.allowSleep !== false;
+        this.sleepSpeed = options.sleepSpeed || SLEEP_SPEED;
+        this.sleepDistance = options.sleepDistance || SLEEP_DISTANCE;
+        this.sleepTime = options.sleepTime || SLEEP_TIME;
+
+        // Static colliders are bucketed once so each ball only sees nearby ones
+        this.broadphase = new SpatialHash(options.broadphaseCellSize);
+        this.candidates = [];
+        this.queryMin = [0, 0, 0];
+        this.queryMax = [0, 0, 0];
+
+        // Scratch for oriented box and rail queries
+        this.localPoint = [0, 0, 0];
+        this.inverseOrientation = [0, 0, 0, 1];
+        this.railPoint = [0, 0, 0];
+
+        // Counters since the last update(), for profiling dense boards
+        this.stats = {
+            steps: 0,
+            broadphaseQueries: 0,
+            narrowphaseTests: 0,
+            sweepTests: 0
+        };
+
+        // Source of randomness for perturbation; anything with next() returning [0, 1)
+        this.rng = options.rng || new SeededRandom();
+    }
+
+    setRandom(rng) {
+        this.rng = rng;
     }
 
     addBody(body) {
@@ -25,59 +118,1110 @@ export class Physics {
 
     addStaticBody(body) {
         this.staticBodies.push(body);
+        this.broadphase.insert(body);
         return body;
     }
 
+    removeStaticBody(body) {
+        const index = this.staticBodies.indexOf(body);
+        if (index !== -1) {
+            this.staticBodies.splice(index, 1);
+            this.broadphase.remove(body);
+        }
+    }
+
+    /**
+     * Re-bucket a static body after moving or resizing it
+     * @param {PhysicsBody} body
+     */
+    updateStaticBody(body) {
+        this.broadphase.update(body);
+    }
+
+    /**
+     * Rewind the clock to zero so kinematic bodies replay from their starting phase
+     */
+    reset() {
+        this.time = 0;
+        this.accumulator = 0;
+    }
+
+    resetStats() {
+        this.stats.steps = 0;
+        this.stats.broadphaseQueries = 0;
+        this.stats.narrowphaseTests = 0;
+        this.stats.sweepTests = 0;
+    }
+
     removeBody(body) {
         const index = this.bodies.indexOf(body);
         if (index !== -1) {
             this.bodies.splice(index, 1);
         }
+
+        // Forget overlaps without firing onExit: the body left the world, not the volume
+        for (const trigger of this.triggers) {
+            trigger.overlapping.delete(body);
+        }
+    }
+
+    /**
+     * Forget that a body overlaps a trigger, without firing onExit, so it enters again on the next pass if still inside
+     * @param {PhysicsBody} trigger
+     * @param {PhysicsBody} body
+     */
+    resetTrigger(trigger, body) {
+        trigger.overlapping.delete(body);
     }
 
     clearBodies() {
         this.bodies = [];
+        for (const trigger of this.triggers) {
+            trigger.overlapping.clear();
+        }
+    }
+
+    /**
+     * Add a body moved by a script rather than by forces
+     * @param {PhysicsBody} body - Body with a kinematic(time, body) callback that sets its position/axis (or min/max)
+     * @returns {PhysicsBody} The body
+     */
+    addKinematicBody(body) {
+        body.isKinematic = true;
+        this.kinematicBodies.push(body);
+        if (body.kinematic) {
+            body.kinematic(this.time, body);
+        }
+        return body;
     }
 
+    removeKinematicBody(body) {
+        const index = this.kinematicBodies.indexOf(body);
+        if (index !== -1) {
+            this.kinematicBodies.splice(index, 1);
+        }
+    }
+
+    /**
+     * Add a force field (see forces.js)
+     * @param {ForceField} field
+     * @returns {ForceField} field
+     */
+    addForceField(field) {
+        this.forceFields.push(field);
+        return field;
+    }
+
+    removeForceField(field) {
+        const index = this.forceFields.indexOf(field);
+        if (index !== -1) {
+            this.forceFields.splice(index, 1);
+        }
+    }
+
+    /**
+     * Add a non-solid volume that reports dynamic bodies entering and leaving it
+     * @param {PhysicsBody} trigger - Body with isTrigger set and onEnter/onExit callbacks
+     * @returns {PhysicsBody} The trigger
+     */
+    addTrigger(trigger) {
+        trigger.isTrigger = true;
+        this.triggers.push(trigger);
+        this.triggerBroadphase.insert(trigger);
+        return trigger;
+    }
+
+    removeTrigger(trigger) {
+        const index = this.triggers.indexOf(trigger);
+        if (index !== -1) {
+            this.triggers.splice(index, 1);
+            this.triggerBroadphase.remove(trigger);
+            trigger.overlapping.clear();
+        }
+    }
+
+    /**
+     * Clock, accumulator and random state as plain JSON; bodies are saved with serializeBody()
+     * @returns {Object}
+     */
+    serialize() {
+        return {
+            time: this.time,
+            accumulator: this.accumulator,
+            rng: this.rng.getState()
+        };
+    }
+
+    /**
+     * Resume from serialize() output; kinematic bodies are moved to the restored time
+     * @param {Object} state
+     */
+    restore(state) {
+        this.time = state.time;
+        this.accumulator = state.accumulator;
+        this.rng.setState(state.rng);
+
+        for (const body of this.kinematicBodies) {
+            if (body.kinematic) body.kinematic(this.time, body);
+        }
+    }
+
+    /**
+     * Dynamic state of one body, including which triggers it is inside
+     * @param {PhysicsBody} body
+     * @returns {Object}
+     */
+    serializeBody(body) {
+        const triggers = [];
+        this.triggers.forEach((trigger, index) => {
+            if (trigger.overlapping.has(body)) triggers.push(index);
+        });
+
+        return {
+            position: Array.from(body.position),
+            velocity: Array.from(body.velocity),
+            angularVelocity: Array.from(body.angularVelocity),
+            orientation: Array.from(body.orientation),
+            isSleeping: body.isSleeping,
+            restTime: body.restTime,
+            restAnchor: Array.from(body.restAnchor),
+            triggers
+        };
+    }
+
+    /**
+     * Apply serializeBody() output to a body that has been added to this simulation
+     * Trigger overlaps are restored silently so a ball already in a pocket does not score twice
+     * @param {PhysicsBody} body
+     * @param {Object} state
+     */
+    restoreBody(body, state) {
+        const copy = (target, source) => {
+            for (let i = 0; i < source.length; i++) target[i] = source[i];
+        };
+        copy(body.position, state.position);
+        copy(body.velocity, state.velocity);
+        copy(body.angularVelocity, state.angularVelocity);
+        copy(body.orientation, state.orientation);
+        copy(body.restAnchor, state.restAnchor);
+        body.isSleeping = state.isSleeping;
+        body.restTime = state.restTime;
+
+        for (const index of state.triggers) {
+            if (this.triggers[index]) {
+                this.triggers[index].overlapping.set(body, this.triggerStamp);
+            }
+        }
+    }
+
+    /**
+     * Advance the simulation by real elapsed time
+     * @param {number} deltaTime - Seconds since the last update
+     * @returns {number} Number of fixed steps taken
+     */
     update(deltaTime) {
-        // Fixed timestep for stable physics
-        const fixedDelta = Math.min(deltaTime, 1/60);
-        
+        this.resetStats();
+        this.accumulator += deltaTime;
+
+        let steps = 0;
+        while (this.accumulator >= this.fixedTimeStep && steps < this.maxStepsPerUpdate) {
+            this.step(this.fixedTimeStep);
+            this.accumulator -= this.fixedTimeStep;
+            steps++;
+        }
+
+        // Too far behind (e.g. tab was in the background): drop the backlog instead of spiralling
+        if (steps === this.maxStepsPerUpdate) {
+            this.accumulator = Math.min(this.accumulator, this.fixedTimeStep);
+        }
+
+        return steps;
+    }
+
+    step(dt) {
+        this.stats.steps++;
+        const subDelta = dt / this.substeps;
+        for (let i = 0; i < this.substeps; i++) {
+            this.substep(subDelta);
+        }
+
+        if (this.allowSleep) {
+            this.updateSleep(dt);
+        }
+
+        // Add slight random perturbation for more interesting physics
         for (const body of this.bodies) {
-            if (body.isStatic) continue;
+            if (body.isStatic || body.isSleeping) continue;
+            if (Math.abs(body.velocity[0]) > VELOCITY_THRESHOLD || Math.abs(body.velocity[1]) > VELOCITY_THRESHOLD) {
+                body.velocity[0] += (this.rng.next() - 0.5) * PERTURBATION_STRENGTH;
+            }
+        }
+    }
+
+    updateSleep(dt) {
+        for (const body of this.bodies) {
+            if (body.isStatic || body.isSleeping) continue;
+
+            const p = body.position;
+            const anchor = body.restAnchor;
+            const dx = p[0] - anchor[0];
+            const dy = p[1] - anchor[1];
+            const dz = p[2] - anchor[2];
+            const drift = Math.sqrt(dx * dx + dy * dy + dz * dz);
+
+            if (vec3.length(body.velocity) < this.sleepSpeed && drift < this.sleepDistance) {
+                body.restTime += dt;
+                if (body.restTime >= this.sleepTime) {
+                    this.sleep(body);
+                }
+            } else {
+                // Moved away: start measuring from the new position
+                body.restTime = 0;
+                anchor[0] = p[0];
+                anchor[1] = p[1];
+                anchor[2] = p[2];
+            }
+        }
+    }
+
+    sleep(body) {
+        body.isSleeping = true;
+        body.velocity[0] = body.velocity[1] = body.velocity[2] = 0;
+        body.angularVelocity[0] = body.angularVelocity[1] = body.angularVelocity[2] = 0;
+
+        if (body.onSleep) {
+            body.onSleep(body);
+        }
+    }
+
+    wake(body) {
+        body.isSleeping = false;
+        body.restTime = 0;
+        body.restAnchor[0] = body.position[0];
+        body.restAnchor[1] = body.position[1];
+        body.restAnchor[2] = body.position[2];
+    }
+
+    substep(dt) {
+        const drag = Math.pow(this.airDrag, dt / FIXED_TIME_STEP);
+        this.substepDelta = dt;
+        this.time += dt;
+
+        if (this.kinematicBodies.length > 0) {
+            this.updateKinematicBodies(dt);
+        }
+
+        for (const body of this.bodies) {
+            if (body.isStatic || body.isSleeping) continue;
 
             // Apply gravity
-            body.velocity[1] += this.gravity * fixedDelta;
+            body.velocity[1] += this.gravity * dt;
 
-            // Apply friction
-            body.velocity[0] *= this.friction;
-            body.velocity[2] *= this.friction;
+            for (const field of this.forceFields) {
+                if (field.enabled && field.contains(body.position)) {
+                    field.apply(body, dt);
+                }
+            }
 
-            // Update position
-            body.position[0] += body.velocity[0] * fixedDelta;
-            body.position[1] += body.velocity[1] * fixedDelta;
-            body.position[2] += body.velocity[2] * fixedDelta;
+            // Apply air drag
+            vec3.scale(body.velocity, body.velocity, drag);
+            vec3.scale(body.angularVelocity, body.angularVelocity, drag);
 
-            // Check collisions with static bodies (pins, walls)
-            for (const staticBody of this.staticBodies) {
-                this.checkCollision(body, staticBody);
+            // Update position, sweeping fast bodies so they cannot skip over thin colliders
+            this.integratePosition(body, dt);
+            quat.integrate(body.orientation, body.orientation, body.angularVelocity, dt);
+
+            // Check collisions with nearby static bodies (pins, walls)
+            this.solveStaticContacts(body, this.queryStatic(body.position, body.position, body.radius));
+        }
+
+        if (this.kinematicBodies.length > 0) {
+            this.collideKinematicBodies();
+        }
+
+        if (this.ballCollisions) {
+            this.collideDynamicBodies();
+        }
+
+        if (this.triggers.length > 0) {
+            this.updateTriggers();
+        }
+    }
+
+    updateKinematicBodies(dt) {
+        for (const body of this.kinematicBodies) {
+            if (!body.kinematic) continue;
+
+            const p = body.position;
+            const a = body.axis;
+            const px = p[0], py = p[1], pz = p[2];
+            const ax = a[0], ay = a[1], az = a[2];
+            const boxCentre = body.min ? [
+                (body.min[0] + body.max[0]) / 2,
+                (body.min[1] + body.max[1]) / 2,
+                (body.min[2] + body.max[2]) / 2
+            ] : null;
+
+            body.kinematic(this.time, body);
+
+            // Linear velocity from the change in position (box centre for boxes)
+            if (boxCentre) {
+                body.velocity[0] = ((body.min[0] + body.max[0]) / 2 - boxCentre[0]) / dt;
+                body.velocity[1] = ((body.min[1] + body.max[1]) / 2 - boxCentre[1]) / dt;
+                body.velocity[2] = ((body.min[2] + body.max[2]) / 2 - boxCentre[2]) / dt;
+            } else {
+                body.velocity[0] = (p[0] - px) / dt;
+                body.velocity[1] = (p[1] - py) / dt;
+                body.velocity[2] = (p[2] - pz) / dt;
             }
 
-            // Add slight random perturbation for more interesting physics
-            if (Math.abs(body.velocity[0]) > VELOCITY_THRESHOLD || Math.abs(body.velocity[1]) > VELOCITY_THRESHOLD) {
-                body.velocity[0] += (Math.random() - 0.5) * PERTURBATION_STRENGTH;
+            // Angular velocity from the rotation that carried the old axis onto the new one
+            vec3.normalize(a, a);
+            const cx = ay * a[2] - az * a[1];
+            const cy = az * a[0] - ax * a[2];
+            const cz = ax * a[1] - ay * a[0];
+            const sin = Math.sqrt(cx * cx + cy * cy + cz * cz);
+            if (sin > 1e-9) {
+                const angle = Math.atan2(sin, ax * a[0] + ay * a[1] + az * a[2]);
+                const scale = angle / (sin * dt);
+                body.angularVelocity[0] = cx * scale;
+                body.angularVelocity[1] = cy * scale;
+                body.angularVelocity[2] = cz * scale;
+            } else {
+                body.angularVelocity[0] = body.angularVelocity[1] = body.angularVelocity[2] = 0;
             }
         }
     }
 
+    collideKinematicBodies() {
+        const closest = [0, 0, 0];
+        for (const kinematic of this.kinematicBodies) {
+            const { min, max } = kinematic.getBounds();
+
+            for (const body of this.bodies) {
+                if (body.isStatic) continue;
+
+                const p = body.position;
+                const r = body.radius;
+                if (p[0] + r < min[0] || p[0] - r > max[0] ||
+                    p[1] + r < min[1] || p[1] - r > max[1] ||
+                    p[2] + r < min[2] || p[2] - r > max[2]) continue;
+
+                // Moving obstacles can run into balls that had settled, but a blade sweeping
+                // past without touching must not keep a wedged ball from ever coming to rest
+                if (body.isSleeping) {
+                    if (this.closestPoint(kinematic, p, closest) > r) continue;
+                    this.wake(body);
+                }
+                const impulse = this.checkCollision(body, kinematic);
+                if (impulse !== NO_CONTACT && body.onCollision) {
+                    body.onCollision(kinematic, impulse);
+                }
+            }
+        }
+    }
+
+    /**
+     * Velocity of a collider's surface at a point (zero unless kinematic)
+     * @param {PhysicsBody} body - Collider
+     * @param {number[]} point - World-space point on its surface
+     * @param {number[]} out - Receives the velocity
+     * @returns {number[]} out
+     */
+    getSurfaceVelocity(body, point, out) {
+        if (!body.isKinematic) {
+            out[0] = out[1] = out[2] = 0;
+            return out;
+        }
+
+        // v + w x (point - centre)
+        const v = body.velocity;
+        const w = body.angularVelocity;
+        const rx = point[0] - body.position[0];
+        const ry = point[1] - body.position[1];
+        const rz = point[2] - body.position[2];
+        out[0] = v[0] + w[1] * rz - w[2] * ry;
+        out[1] = v[1] + w[2] * rx - w[0] * rz;
+        out[2] = v[2] + w[0] * ry - w[1] * rx;
+        return out;
+    }
+
+    updateTriggers() {
+        const events = this.triggerEvents;
+        const closest = [0, 0, 0];
+        const stamp = ++this.triggerStamp;
+
+        for (const body of this.bodies) {
+            if (body.isStatic) continue;
+
+            const p = body.position;
+            this.queryMin[0] = p[0] - body.radius; this.queryMax[0] = p[0] + body.radius;
+            this.queryMin[1] = p[1] - body.radius; this.queryMax[1] = p[1] + body.radius;
+            this.queryMin[2] = p[2] - body.radius; this.queryMax[2] = p[2] + body.radius;
+
+            for (const trigger of this.triggerBroadphase.query(this.queryMin, this.queryMax, this.candidates)) {
+                if (this.closestPoint(trigger, p, closest) >= body.radius) continue;
+
+                if (!trigger.overlapping.has(body)) {
+                    events.push(trigger.onEnter, body, trigger);
+                }
+                // Stamp the pair so the exit pass below knows it is still overlapping
+                trigger.overlapping.set(body, stamp);
+            }
+        }
+
+        for (const trigger of this.triggers) {
+            for (const [body, seen] of trigger.overlapping) {
+                if (seen !== stamp) {
+                    trigger.overlapping.delete(body);
+                    events.push(trigger.onExit, body, trigger);
+                }
+            }
+        }
+
+        // Dispatch after iterating so callbacks may add or remove bodies
+        for (let i = 0; i < events.length; i += 3) {
+            if (events[i]) events[i](events[i + 1], events[i + 2]);
+        }
+        events.length = 0;
+    }
+
+    collideDynamicBodies() {
+        // Sweep and prune along X: sort by left edge, only test bodies whose X extents overlap
+        const sorted = this.sortedBodies;
+        sorted.length = 0;
+        for (const body of this.bodies) {
+            if (!body.isStatic) sorted.push(body);
+        }
+        sorted.sort((a, b) => (a.position[0] - a.radius) - (b.position[0] - b.radius));
+
+        // First pass finds and resolves the touching pairs, later passes relax just those
+        const contacts = this.ballContacts;
+        const impulses = this.ballImpulses;
+        contacts.length = 0;
+        impulses.length = 0;
+        for (let i = 0; i < sorted.length; i++) {
+            const a = sorted[i];
+            const maxX = a.position[0] + a.radius;
+            for (let j = i + 1; j < sorted.length; j++) {
+                const b = sorted[j];
+                if (b.position[0] - b.radius > maxX) break;
+                const impulse = this.sphereVsDynamicSphere(a, b);
+                if (impulse !== NO_CONTACT) {
+                    contacts.push(a, b);
+                    impulses.push(impulse);
+                }
+            }
+        }
+
+        for (let iteration = 1; iteration < this.ballSolverIterations; iteration++) {
+            for (let k = 0; k < impulses.length; k++) {
+                const impulse = this.sphereVsDynamicSphere(contacts[k * 2], contacts[k * 2 + 1]);
+                if (impulse > 0) impulses[k] += impulse;
+            }
+        }
+
+        for (let k = 0; k < impulses.length; k++) {
+            const a = contacts[k * 2];
+            const b = contacts[k * 2 + 1];
+            if (a.onCollision) a.onCollision(b, impulses[k]);
+            if (b.onCollision) b.onCollision(a, impulses[k]);
+        }
+    }
+
+    /**
+     * Resolve a ball against nearby static colliders, then report each contact once
+     * @param {PhysicsBody} body - Dynamic sphere
+     * @param {PhysicsBody[]} candidates - Broadphase results
+     */
+    solveStaticContacts(body, candidates) {
+        const contacts = this.contacts;
+        const impulses = this.contactImpulses;
+        contacts.length = 0;
+        impulses.length = 0;
+        for (const other of candidates) {
+            const impulse = this.checkCollision(body, other);
+            if (impulse !== NO_CONTACT) {
+                contacts.push(other);
+                impulses.push(impulse);
+            }
+        }
+
+        // Pushing out of one collider can push into another; revisit them until they agree
+        for (let iteration = 1; iteration < this.contactIterations && contacts.length > 1; iteration++) {
+            let resolved = true;
+            for (let i = 0; i < contacts.length; i++) {
+                const impulse = this.checkCollision(body, contacts[i]);
+                if (impulse === NO_CONTACT) continue;
+                impulses[i] += impulse;
+                resolved = false;
+            }
+            if (resolved) break;
+        }
+
+        if (body.onCollision) {
+            for (let i = 0; i < contacts.length; i++) {
+                body.onCollision(contacts[i], impulses[i]);
+            }
+        }
+    }
+
+    /**
+     * Mass-weighted contact between two dynamic spheres
+     * @param {PhysicsBody} a
+     * @param {PhysicsBody} b
+     * @returns {number} Normal impulse applied, or NO_CONTACT
+     */
+    sphereVsDynamicSphere(a, b) {
+        const dx = b.position[0] - a.position[0];
+        const dy = b.position[1] - a.position[1];
+        const dz = b.position[2] - a.position[2];
+        const distanceSq = dx * dx + dy * dy + dz * dz;
+        const minDist = a.radius + b.radius;
+
+        if (distanceSq >= minDist * minDist || distanceSq === 0) return NO_CONTACT;
+
+        const distance = Math.sqrt(distanceSq);
+        const nx = dx / distance;
+        const ny = dy / distance;
+        const nz = dz / distance;
+
+        const approach = (b.velocity[0] - a.velocity[0]) * nx +
+                         (b.velocity[1] - a.velocity[1]) * ny +
+                         (b.velocity[2] - a.velocity[2]) * nz;
+
+        // A sleeping ball acts as static unless struck hard enough to wake it
+        if (a.isSleeping !== b.isSleeping && -approach > WAKE_SPEED) {
+            this.wake(a.isSleeping ? a : b);
+        }
+
+        const invMassA = a.getInverseMass();
+        const invMassB = b.getInverseMass();
+        const invMassSum = invMassA + invMassB;
+        if (invMassSum === 0) return NO_CONTACT;
+
+        // Separate in proportion to inverse mass, so heavier balls move less
+        const correction = (minDist - distance) / invMassSum;
+        a.position[0] -= nx * correction * invMassA;
+        a.position[1] -= ny * correction * invMassA;
+        a.position[2] -= nz * correction * invMassA;
+        b.position[0] += nx * correction * invMassB;
+        b.position[1] += ny * correction * invMassB;
+        b.position[2] += nz * correction * invMassB;
+
+        // Exchange impulse along the normal only while approaching
+        if (approach >= 0) return 0;
+
+        const material = this.getContactMaterial(a, b);
+        const restitution = -approach < RESTING_SPEED ? 0 : material.restitution;
+        const impulse = -(1 + restitution) * approach / invMassSum;
+        a.velocity[0] -= nx * impulse * invMassA;
+        a.velocity[1] -= ny * impulse * invMassA;
+        a.velocity[2] -= nz * impulse * invMassA;
+        b.velocity[0] += nx * impulse * invMassB;
+        b.velocity[1] += ny * impulse * invMassB;
+        b.velocity[2] += nz * impulse * invMassB;
+        return impulse;
+    }
+
+    integratePosition(body, dt) {
+        const dx = body.velocity[0] * dt;
+        const dy = body.velocity[1] * dt;
+        const dz = body.velocity[2] * dt;
+        const travel = Math.sqrt(dx * dx + dy * dy + dz * dz);
+
+        if (this.continuousCollision && travel > body.radius * CCD_MOTION_THRESHOLD) {
+            const hit = this.sweep(body, [dx, dy, dz]);
+            if (hit) {
+                // Stop at the time of impact and respond there; the rest of the substep is dropped
+                body.position[0] += dx * hit.time;
+                body.position[1] += dy * hit.time;
+                body.position[2] += dz * hit.time;
+                const impulse = this.resolveContact(body, hit.body, hit.normal[0], hit.normal[1], hit.normal[2], 0);
+                if (body.onCollision) {
+                    body.onCollision(hit.body, impulse);
+                }
+                return;
+            }
+        }
+
+        body.position[0] += dx;
+        body.position[1] += dy;
+        body.position[2] += dz;
+    }
+
+    /**
+     * Find the earliest static body a moving sphere touches
+     * @param {PhysicsBody} ball - Sphere being moved from its current position
+     * @param {number[]} motion - Displacement over the substep
+     * @returns {{time: number, body: PhysicsBody, normal: number[]}|null} Fraction of motion until impact
+     */
+    sweep(ball, motion) {
+        let earliest = null;
+
+        const end = [
+            ball.position[0] + motion[0],
+            ball.position[1] + motion[1],
+            ball.position[2] + motion[2]
+        ];
+        const candidates = this.queryStatic(ball.position, end, ball.radius);
+
+        for (const staticBody of candidates) {
+            this.stats.sweepTests++;
+            let hit = null;
+            if (staticBody.type === 'sphere') {
+                hit = this.sweepSphereVsSphere(ball, motion, staticBody);
+            } else {
+                hit = this.sweepSphereVsShape(ball, motion, staticBody);
+            }
+
+            if (hit && (!earliest || hit.time < earliest.time)) {
+                hit.body = staticBody;
+                earliest = hit;
+            }
+        }
+
+        return earliest;
+    }
+
+    sweepSphereVsSphere(ball, motion, sphere) {
+        const px = ball.position[0] - sphere.position[0];
+        const py = ball.position[1] - sphere.position[1];
+        const pz = ball.position[2] - sphere.position[2];
+        const r = ball.radius + sphere.radius;
+
+        // Solve |p + motion * t| = r for the entering root
+        const a = motion[0] * motion[0] + motion[1] * motion[1] + motion[2] * motion[2];
+        const b = px * motion[0] + py * motion[1] + pz * motion[2];
+        const c = px * px + py * py + pz * pz - r * r;
+        if (c <= 0 || b >= 0) return null; // Already overlapping (discrete pass handles it) or moving away
+
+        const discriminant = b * b - a * c;
+        if (discriminant < 0) return null;
+
+        const t = (-b - Math.sqrt(discriminant)) / a;
+        if (t > 1) return null;
+
+        return {
+            time: t,
+            normal: [(px + motion[0] * t) / r, (py + motion[1] * t) / r, (pz + motion[2] * t) / r]
+        };
+    }
+
+    sweepSphereVsShape(ball, motion, shape) {
+        const start = ball.position;
+        const r = ball.radius;
+
+        // Reject early if the swept bounds never reach the shape
+        const bounds = shape.getBounds();
+        for (let axis = 0; axis < 3; axis++) {
+            const lo = Math.min(start[axis], start[axis] + motion[axis]) - r;
+            const hi = Math.max(start[axis], start[axis] + motion[axis]) + r;
+            if (hi < bounds.min[axis] || lo > bounds.max[axis]) return null;
+        }
+
+        const length = Math.sqrt(motion[0] * motion[0] + motion[1] * motion[1] + motion[2] * motion[2]);
+        const point = [0, 0, 0];
+        const closest = [0, 0, 0];
+        let t = 0;
+
+        // Conservative advancement: the gap to the shape bounds how far the sphere can safely move
+        for (let i = 0; i < CCD_MAX_ITERATIONS; i++) {
+            point[0] = start[0] + motion[0] * t;
+            point[1] = start[1] + motion[1] * t;
+            point[2] = start[2] + motion[2] * t;
+            const distance = this.closestPoint(shape, point, closest);
+            const gap = distance - r;
+
+            if (gap < CCD_TOLERANCE) {
+                // Touching at the start is left to the discrete pass
+                if (t === 0 || distance === 0) return null;
+                return {
+                    time: t,
+                    normal: [
+                        (point[0] - closest[0]) / distance,
+                        (point[1] - closest[1]) / distance,
+                        (point[2] - closest[2]) / distance
+                    ]
+                };
+            }
+
+            t += gap / length;
+            if (t > 1) return null;
+        }
+
+        return null;
+    }
+
+    /**
+     * Closest point on a collider's surface or interior
+     * @param {PhysicsBody} shape - Sphere, box, oriented box, cylinder, capsule or rail
+     * @param {number[]} point - Query point
+     * @param {number[]} out - Receives the closest point
+     * @returns {number} Distance from point to out (0 when inside)
+     */
+    closestPoint(shape, point, out) {
+        if (shape.type === 'sphere') {
+            return this.closestPointOnSphere(point, shape, out);
+        } else if (shape.type === 'box') {
+            return this.closestPointOnBox(point, shape, out);
+        } else if (shape.type === 'cylinder') {
+            return this.closestPointOnCylinder(point, shape, out);
+        } else if (shape.type === 'capsule') {
+            return this.closestPointOnCapsule(point, shape, out);
+        } else if (shape.type === 'orientedBox') {
+            return this.closestPointOnOrientedBox(point, shape, out);
+        } else if (shape.type === 'rail') {
+            return this.closestPointOnRail(point, shape, out);
+        }
+        return Infinity;
+    }
+
+    closestPointOnSphere(point, sphere, out) {
+        const c = sphere.position;
+        const dx = point[0] - c[0];
+        const dy = point[1] - c[1];
+        const dz = point[2] - c[2];
+        const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+
+        if (distance <= sphere.radius) {
+            out[0] = point[0];
+            out[1] = point[1];
+            out[2] = point[2];
+            return 0;
+        }
+
+        const scale = sphere.radius / distance;
+        out[0] = c[0] + dx * scale;
+        out[1] = c[1] + dy * scale;
+        out[2] = c[2] + dz * scale;
+        return distance - sphere.radius;
+    }
+
+    closestPointOnCylinder(point, cylinder, out) {
+        const c = cylinder.position;
+        const a = cylinder.axis;
+        const dx = point[0] - c[0];
+        const dy = point[1] - c[1];
+        const dz = point[2] - c[2];
+
+        // Split into the part along the axis and the radial remainder, then clamp each
+        const halfHeight = cylinder.height / 2;
+        const along = dx * a[0] + dy * a[1] + dz * a[2];
+        const clampedAlong = Math.max(-halfHeight, Math.min(along, halfHeight));
+        const qx = dx - a[0] * along;
+        const qy = dy - a[1] * along;
+        const qz = dz - a[2] * along;
+        const radial = Math.sqrt(qx * qx + qy * qy + qz * qz);
+        const scale = radial > cylinder.radius ? cylinder.radius / radial : 1;
+
+        out[0] = c[0] + a[0] * clampedAlong + qx * scale;
+        out[1] = c[1] + a[1] * clampedAlong + qy * scale;
+        out[2] = c[2] + a[2] * clampedAlong + qz * scale;
+
+        const ex = point[0] - out[0];
+        const ey = point[1] - out[1];
+        const ez = point[2] - out[2];
+        return Math.sqrt(ex * ex + ey * ey + ez * ez);
+    }
+
+    closestPointOnCapsule(point, capsule, out) {
+        const distance = this.closestPointOnSegment(point, capsule, out);
+        if (distance <= capsule.radius) {
+            out[0] = point[0];
+            out[1] = point[1];
+            out[2] = point[2];
+            return 0;
+        }
+
+        // Step from the core segment out to the rounded surface
+        const scale = capsule.radius / distance;
+        out[0] += (point[0] - out[0]) * scale;
+        out[1] += (point[1] - out[1]) * scale;
+        out[2] += (point[2] - out[2]) * scale;
+        return distance - capsule.radius;
+    }
+
+    closestPointOnSegment(point, body, out) {
+        const c = body.position;
+        const a = body.axis;
+        const halfHeight = body.height / 2;
+        const along = (point[0] - c[0]) * a[0] + (point[1] - c[1]) * a[1] + (point[2] - c[2]) * a[2];
+        const t = Math.max(-halfHeight, Math.min(along, halfHeight));
+
+        out[0] = c[0] + a[0] * t;
+        out[1] = c[1] + a[1] * t;
+        out[2] = c[2] + a[2] * t;
+
+        const ex = point[0] - out[0];
+        const ey = point[1] - out[1];
+        const ez = point[2] - out[2];
+        return Math.sqrt(ex * ex + ey * ey + ez * ez);
+    }
+
+    closestPointOnBox(point, box, out) {
+        out[0] = Math.max(box.min[0], Math.min(point[0], box.max[0]));
+        out[1] = Math.max(box.min[1], Math.min(point[1], box.max[1]));
+        out[2] = Math.max(box.min[2], Math.min(point[2], box.max[2]));
+
+        const dx = point[0] - out[0];
+        const dy = point[1] - out[1];
+        const dz = point[2] - out[2];
+        return Math.sqrt(dx * dx + dy * dy + dz * dz);
+    }
+
+    closestPointOnOrientedBox(point, box, out) {
+        const local = this.localPoint;
+        const h = box.halfExtents;
+
+        // Clamp in the box's own frame, then rotate back
+        local[0] = point[0] - box.position[0];
+        local[1] = point[1] - box.position[1];
+        local[2] = point[2] - box.position[2];
+        quat.rotateVector(local, quat.conjugate(this.inverseOrientation, box.orientation), local);
+        if (Math.abs(local[0]) <= h[0] && Math.abs(local[1]) <= h[1] && Math.abs(local[2]) <= h[2]) {
+            // Inside; decided here because rotating back and forth leaves rounding noise
+            out[0] = point[0];
+            out[1] = point[1];
+            out[2] = point[2];
+            return 0;
+        }
+        local[0] = Math.max(-h[0], Math.min(local[0], h[0]));
+        local[1] = Math.max(-h[1], Math.min(local[1], h[1]));
+        local[2] = Math.max(-h[2], Math.min(local[2], h[2]));
+        quat.rotateVector(out, box.orientation, local);
+        out[0] += box.position[0];
+        out[1] += box.position[1];
+        out[2] += box.position[2];
+
+        const dx = point[0] - out[0];
+        const dy = point[1] - out[1];
+        const dz = point[2] - out[2];
+        return Math.sqrt(dx * dx + dy * dy + dz * dz);
+    }
+
+    /**
+     * Closest point on a rail: a polyline in the board (XY) plane, thickened to
+     * rail.radius and extruded along Z over rail.depth
+     * @param {number[]} point - Query point
+     * @param {PhysicsBody} rail
+     * @param {number[]} out - Receives the closest point
+     * @returns {number} Distance from point to out (0 when inside)
+     */
+    closestPointOnRail(point, rail, out) {
+        const line = this.railPoint;
+        const lineDistance = this.closestPointOnPolyline(point[0], point[1], rail.points, line);
+
+        // The rail is a 2D shape times a Z interval, so each part clamps on its own
+        if (lineDistance > rail.radius) {
+            const scale = rail.radius / lineDistance;
+            out[0] = line[0] + (point[0] - line[0]) * scale;
+            out[1] = line[1] + (point[1] - line[1]) * scale;
+        } else {
+            out[0] = point[0];
+            out[1] = point[1];
+        }
+        const halfDepth = rail.depth / 2;
+        out[2] = Math.max(rail.position[2] - halfDepth, Math.min(point[2], rail.position[2] + halfDepth));
+
+        const dx = point[0] - out[0];
+        const dy = point[1] - out[1];
+        const dz = point[2] - out[2];
+        return Math.sqrt(dx * dx + dy * dy + dz * dz);
+    }
+
+    /**
+     * Closest point on a 2D polyline
+     * @param {number} x
+     * @param {number} y
+     * @param {number[][]} points - Polyline vertices [x, y]
+     * @param {number[]} out - Receives x, y and the index of the nearest segment
+     * @returns {number} Distance in the plane
+     */
+    closestPointOnPolyline(x, y, points, out) {
+        let best = Infinity;
+        for (let i = 0; i < points.length - 1; i++) {
+            const ax = points[i][0], ay = points[i][1];
+            const ex = points[i + 1][0] - ax, ey = points[i + 1][1] - ay;
+            const lengthSq = ex * ex + ey * ey;
+            const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((x - ax) * ex + (y - ay) * ey) / lengthSq)) : 0;
+            const qx = ax + ex * t, qy = ay + ey * t;
+            const distanceSq = (x - qx) * (x - qx) + (y - qy) * (y - qy);
+            if (distanceSq < best) {
+                best = distanceSq;
+                out[0] = qx;
+                out[1] = qy;
+                out[2] = i;
+            }
+        }
+        return Math.sqrt(best);
+    }
+
+    /**
+     * Broadphase lookup of static bodies near a moving sphere
+     * @param {number[]} start - Sphere centre at the start of the motion
+     * @param {number[]} end - Sphere centre at the end of the motion
+     * @param {number} radius - Sphere radius
+     * @returns {PhysicsBody[]} Candidates (shared array, valid until the next query)
+     */
+    queryStatic(start, end, radius) {
+        for (let axis = 0; axis < 3; axis++) {
+            this.queryMin[axis] = Math.min(start[axis], end[axis]) - radius;
+            this.queryMax[axis] = Math.max(start[axis], end[axis]) + radius;
+        }
+        this.stats.broadphaseQueries++;
+        return this.broadphase.query(this.queryMin, this.queryMax, this.candidates);
+    }
+
+    /**
+     * Narrowphase test and response of a ball against one collider
+     * @param {PhysicsBody} ball - Dynamic sphere
+     * @param {PhysicsBody} staticBody - Static or kinematic collider
+     * @returns {number} Normal impulse applied, or NO_CONTACT
+     */
     checkCollision(ball, staticBody) {
+        this.stats.narrowphaseTests++;
         if (staticBody.type === 'sphere') {
-            this.sphereVsSphere(ball, staticBody);
+            return this.sphereVsSphere(ball, staticBody);
         } else if (staticBody.type === 'box') {
-            this.sphereVsBox(ball, staticBody);
+            return this.sphereVsBox(ball, staticBody);
         } else if (staticBody.type === 'cylinder') {
-            this.sphereVsCylinder(ball, staticBody);
+            return this.sphereVsCylinder(ball, staticBody);
+        } else if (staticBody.type === 'capsule') {
+            return this.sphereVsCapsule(ball, staticBody);
+        } else if (staticBody.type === 'orientedBox') {
+            return this.sphereVsOrientedBox(ball, staticBody);
+        } else if (staticBody.type === 'rail') {
+            return this.sphereVsRail(ball, staticBody);
+        }
+        return NO_CONTACT;
+    }
+
+    /**
+     * Push a ball out along the contact normal and apply the normal impulse against a static,
+     * kinematic or sleeping body (treated as infinitely heavy)
+     * @param {PhysicsBody} ball - Dynamic sphere
+     * @param {PhysicsBody} other - Body it touched
+     * @param {number} nx - Contact normal X (pointing towards the ball)
+     * @param {number} ny - Contact normal Y
+     * @param {number} nz - Contact normal Z
+     * @param {number} overlap - Penetration depth to remove
+     * @returns {number} Normal impulse applied (0 if the ball was not approaching)
+     */
+    resolveContact(ball, other, nx, ny, nz, overlap) {
+        // Separate ball from the other body
+        ball.position[0] += nx * overlap;
+        ball.position[1] += ny * overlap;
+        ball.position[2] += nz * overlap;
+
+        // Reflect velocity relative to the surface (which only moves for kinematic bodies)
+        const surface = this.getSurfaceVelocity(other, [
+            ball.position[0] - nx * ball.radius,
+            ball.position[1] - ny * ball.radius,
+            ball.position[2] - nz * ball.radius
+        ], this.surfaceVelocity);
+        const approach = (ball.velocity[0] - surface[0]) * nx +
+                         (ball.velocity[1] - surface[1]) * ny +
+                         (ball.velocity[2] - surface[2]) * nz;
+        const invMass = ball.getInverseMass();
+
+        // Separating contacts get no impulse; approaching ones lose all approach speed and
+        // get back restitution times it (none at resting speeds, so settled balls stay put)
+        if (approach >= 0 || invMass === 0) return 0;
+
+        const material = this.getContactMaterial(ball, other);
+        const restitution = -approach < RESTING_SPEED ? 0 : material.restitution;
+        const impulse = -(1 + restitution) * approach / invMass;
+        ball.velocity[0] += nx * impulse * invMass;
+        ball.velocity[1] += ny * impulse * invMass;
+        ball.velocity[2] += nz * impulse * invMass;
+
+        this.applyContactFriction(ball, nx, ny, nz, impulse, surface, material);
+        return impulse;
+    }
+
+    /**
+     * Combined material where two bodies touch (reused scratch object, read it before the next contact)
+     * @param {PhysicsBody} a
+     * @param {PhysicsBody} b
+     * @returns {Object} restitution, friction, rollingFriction and damping
+     */
+    getContactMaterial(a, b) {
+        return combineMaterials(
+            a.material || this.defaultMaterial,
+            b.material || this.defaultMaterial,
+            this.contactMaterial
+        );
+    }
+
+    /**
+     * Tangential friction at a contact, exchanging linear and angular velocity
+     * @param {PhysicsBody} ball - Dynamic sphere
+     * @param {number} nx - Contact normal X (pointing towards the ball)
+     * @param {number} ny - Contact normal Y
+     * @param {number} nz - Contact normal Z
+     * @param {number} normalImpulse - Magnitude of the normal impulse, bounds friction (Coulomb)
+     * @param {number[]} surface - Velocity of the other surface at the contact
+     * @param {Object} material - Combined contact material (see getContactMaterial)
+     */
+    applyContactFriction(ball, nx, ny, nz, normalImpulse, surface, material) {
+        const invMass = ball.getInverseMass();
+        const invInertia = ball.getInverseInertia();
+        if (invMass === 0) return;
+
+        const w = ball.angularVelocity;
+        const v = ball.velocity;
+
+        // Contact point relative to the centre
+        const rx = -nx * ball.radius;
+        const ry = -ny * ball.radius;
+        const rz = -nz * ball.radius;
+
+        // Velocity of the ball's surface at the contact point, v + w x r, relative to the other surface
+        const cx = v[0] + w[1] * rz - w[2] * ry - surface[0];
+        const cy = v[1] + w[2] * rx - w[0] * rz - surface[1];
+        const cz = v[2] + w[0] * ry - w[1] * rx - surface[2];
+
+        // Keep only the sliding (tangential) part
+        const cn = cx * nx + cy * ny + cz * nz;
+        const tx = cx - cn * nx;
+        const ty = cy - cn * ny;
+        const tz = cz - cn * nz;
+        const slip = Math.sqrt(tx * tx + ty * ty + tz * tz);
+
+        if (slip > 1e-6) {
+            // Impulse that would stop slipping, clamped to the friction cone
+            const effectiveMass = 1 / (invMass + invInertia * ball.radius * ball.radius);
+            const impulse = Math.min(slip * effectiveMass, material.friction * normalImpulse);
+            const px = -tx / slip * impulse;
+            const py = -ty / slip * impulse;
+            const pz = -tz / slip * impulse;
+
+            v[0] += px * invMass;
+            v[1] += py * invMass;
+            v[2] += pz * invMass;
+
+            // w += I^-1 (r x P)
+            w[0] += (ry * pz - rz * py) * invInertia;
+            w[1] += (rz * px - rx * pz) * invInertia;
+            w[2] += (rx * py - ry * px) * invInertia;
+        }
+
+        // Damping surfaces (felt, rubber) soak up motion along them
+        if (material.damping > 0) {
+            const vn = (v[0] - surface[0]) * nx + (v[1] - surface[1]) * ny + (v[2] - surface[2]) * nz;
+            const loss = Math.min(1, material.damping * this.substepDelta);
+            v[0] -= (v[0] - surface[0] - vn * nx) * loss;
+            v[1] -= (v[1] - surface[1] - vn * ny) * loss;
+            v[2] -= (v[2] - surface[2] - vn * nz) * loss;
         }
+
+        // Rolling resistance: bleed off spin about axes parallel to the surface
+        const spinNormal = w[0] * nx + w[1] * ny + w[2] * nz;
+        const rolling = Math.max(0, 1 - material.rollingFriction * this.substepDelta);
+        w[0] = spinNormal * nx + (w[0] - spinNormal * nx) * rolling;
+        w[1] = spinNormal * ny + (w[1] - spinNormal * ny) * rolling;
+        w[2] = spinNormal * nz + (w[2] - spinNormal * nz) * rolling;
     }
 
     sphereVsSphere(ball, pin) {
@@ -89,98 +1233,173 @@ export class Physics {
 
         if (distance < minDist && distance > 0) {
             // Collision detected
-            const nx = dx / distance;
-            const ny = dy / distance;
-            const nz = dz / distance;
-
-            // Separate ball from pin
-            const overlap = minDist - distance;
-            ball.position[0] += nx * overlap;
-            ball.position[1] += ny * overlap;
-            ball.position[2] += nz * overlap;
-
-            // Reflect velocity
-            const dot = ball.velocity[0] * nx + ball.velocity[1] * ny + ball.velocity[2] * nz;
-            ball.velocity[0] -= 2 * dot * nx * this.restitution;
-            ball.velocity[1] -= 2 * dot * ny * this.restitution;
-            ball.velocity[2] -= 2 * dot * nz * this.restitution;
-
-            // Callback for scoring/sound
-            if (ball.onCollision) {
-                ball.onCollision(pin);
-            }
+            return this.resolveContact(ball, pin, dx / distance, dy / distance, dz / distance, minDist - distance);
         }
+        return NO_CONTACT;
     }
 
     sphereVsCylinder(ball, cylinder) {
-        // Simplified cylinder collision (vertical cylinder)
-        const dx = ball.position[0] - cylinder.position[0];
-        const dz = ball.position[2] - cylinder.position[2];
-        const horizontalDistance = Math.sqrt(dx * dx + dz * dz);
-        const minDist = ball.radius + cylinder.radius;
-
-        // Check if ball is within cylinder height
-        const withinHeight = ball.position[1] >= cylinder.position[1] - cylinder.height / 2 &&
-                            ball.position[1] <= cylinder.position[1] + cylinder.height / 2;
+        const closest = [0, 0, 0];
+        const distance = this.closestPointOnCylinder(ball.position, cylinder, closest);
 
-        if (horizontalDistance < minDist && withinHeight && horizontalDistance > 0) {
-            // Collision detected
-            const nx = dx / horizontalDistance;
-            const nz = dz / horizontalDistance;
+        if (distance < ball.radius && distance > 0) {
+            // Collision with the side, rim or an end cap
+            return this.resolveContact(
+                ball, cylinder,
+                (ball.position[0] - closest[0]) / distance,
+                (ball.position[1] - closest[1]) / distance,
+                (ball.position[2] - closest[2]) / distance,
+                ball.radius - distance
+            );
+        } else if (distance === 0) {
+            // Ball center is inside the cylinder: leave through whichever surface is nearest
+            const c = cylinder.position;
+            const a = cylinder.axis;
+            const dx = ball.position[0] - c[0];
+            const dy = ball.position[1] - c[1];
+            const dz = ball.position[2] - c[2];
+            const along = dx * a[0] + dy * a[1] + dz * a[2];
+            const qx = dx - a[0] * along;
+            const qy = dy - a[1] * along;
+            const qz = dz - a[2] * along;
+            const radial = Math.sqrt(qx * qx + qy * qy + qz * qz);
+            const capDepth = cylinder.height / 2 - Math.abs(along);
+            const sideDepth = cylinder.radius - radial;
 
-            // Separate ball from cylinder
-            const overlap = minDist - horizontalDistance;
-            ball.position[0] += nx * overlap;
-            ball.position[2] += nz * overlap;
+            if (sideDepth < capDepth && radial > 0) {
+                return this.resolveContact(
+                    ball, cylinder,
+                    qx / radial, qy / radial, qz / radial,
+                    sideDepth + ball.radius
+                );
+            } else {
+                const sign = along < 0 ? -1 : 1;
+                return this.resolveContact(
+                    ball, cylinder,
+                    a[0] * sign, a[1] * sign, a[2] * sign,
+                    capDepth + ball.radius
+                );
+            }
+        }
+        return NO_CONTACT;
+    }
 
-            // Reflect velocity (only horizontal components)
-            const dot = ball.velocity[0] * nx + ball.velocity[2] * nz;
-            ball.velocity[0] -= 2 * dot * nx * this.restitution;
-            ball.velocity[2] -= 2 * dot * nz * this.restitution;
+    sphereVsCapsule(ball, capsule) {
+        const closest = [0, 0, 0];
+        const distance = this.closestPointOnSegment(ball.position, capsule, closest);
+        const minDist = ball.radius + capsule.radius;
 
-            if (ball.onCollision) {
-                ball.onCollision(cylinder);
+        if (distance < minDist && distance > 0) {
+            return this.resolveContact(
+                ball, capsule,
+                (ball.position[0] - closest[0]) / distance,
+                (ball.position[1] - closest[1]) / distance,
+                (ball.position[2] - closest[2]) / distance,
+                minDist - distance
+            );
+        } else if (distance === 0) {
+            // Ball center is on the capsule's axis: push it off sideways within the board plane
+            const a = capsule.axis;
+            const length = Math.sqrt(a[0] * a[0] + a[1] * a[1]);
+            if (length > 0) {
+                return this.resolveContact(ball, capsule, -a[1] / length, a[0] / length, 0, minDist);
             }
+            return this.resolveContact(ball, capsule, 0, 1, 0, minDist);
         }
+        return NO_CONTACT;
     }
 
     sphereVsBox(ball, box) {
         // Find closest point on box to ball center
-        const closestX = Math.max(box.min[0], Math.min(ball.position[0], box.max[0]));
-        const closestY = Math.max(box.min[1], Math.min(ball.position[1], box.max[1]));
-        const closestZ = Math.max(box.min[2], Math.min(ball.position[2], box.max[2]));
-
-        const dx = ball.position[0] - closestX;
-        const dy = ball.position[1] - closestY;
-        const dz = ball.position[2] - closestZ;
-        const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+        const closest = [0, 0, 0];
+        const distance = this.closestPointOnBox(ball.position, box, closest);
 
         if (distance < ball.radius && distance > 0) {
             // Collision detected
-            const nx = dx / distance;
-            const ny = dy / distance;
-            const nz = dz / distance;
+            return this.resolveContact(
+                ball, box,
+                (ball.position[0] - closest[0]) / distance,
+                (ball.position[1] - closest[1]) / distance,
+                (ball.position[2] - closest[2]) / distance,
+                ball.radius - distance
+            );
+        } else if (distance === 0) {
+            // Ball center is inside box, push it out
+            return this.resolveContact(ball, box, 0, 1, 0, ball.radius);
+        }
+        return NO_CONTACT;
+    }
 
-            // Separate ball from box
-            const overlap = ball.radius - distance;
-            ball.position[0] += nx * overlap;
-            ball.position[1] += ny * overlap;
-            ball.position[2] += nz * overlap;
+    sphereVsOrientedBox(ball, box) {
+        const closest = [0, 0, 0];
+        const distance = this.closestPointOnOrientedBox(ball.position, box, closest);
 
-            // Reflect velocity
-            const dot = ball.velocity[0] * nx + ball.velocity[1] * ny + ball.velocity[2] * nz;
-            ball.velocity[0] -= 2 * dot * nx * this.restitution;
-            ball.velocity[1] -= 2 * dot * ny * this.restitution;
-            ball.velocity[2] -= 2 * dot * nz * this.restitution;
+        if (distance < ball.radius && distance > 0) {
+            return this.resolveContact(
+                ball, box,
+                (ball.position[0] - closest[0]) / distance,
+                (ball.position[1] - closest[1]) / distance,
+                (ball.position[2] - closest[2]) / distance,
+                ball.radius - distance
+            );
+        } else if (distance === 0) {
+            // Ball center is inside: leave through the nearest face
+            const local = [
+                ball.position[0] - box.position[0],
+                ball.position[1] - box.position[1],
+                ball.position[2] - box.position[2]
+            ];
+            quat.rotateVector(local, quat.conjugate(this.inverseOrientation, box.orientation), local);
 
-            if (ball.onCollision) {
-                ball.onCollision(box);
+            let axis = 0;
+            let depth = Infinity;
+            for (let i = 0; i < 3; i++) {
+                const faceDepth = box.halfExtents[i] - Math.abs(local[i]);
+                if (faceDepth < depth) {
+                    depth = faceDepth;
+                    axis = i;
+                }
             }
+            const normal = [0, 0, 0];
+            normal[axis] = local[axis] < 0 ? -1 : 1;
+            quat.rotateVector(normal, box.orientation, normal);
+            return this.resolveContact(ball, box, normal[0], normal[1], normal[2], depth + ball.radius);
+        }
+        return NO_CONTACT;
+    }
+
+    sphereVsRail(ball, rail) {
+        const closest = [0, 0, 0];
+        const distance = this.closestPointOnRail(ball.position, rail, closest);
+
+        if (distance < ball.radius && distance > 0) {
+            return this.resolveContact(
+                ball, rail,
+                (ball.position[0] - closest[0]) / distance,
+                (ball.position[1] - closest[1]) / distance,
+                (ball.position[2] - closest[2]) / distance,
+                ball.radius - distance
+            );
         } else if (distance === 0) {
-            // Ball center is inside box, push it out
-            ball.position[1] += ball.radius;
-            ball.velocity[1] = Math.abs(ball.velocity[1]) * this.restitution;
+            // Ball center is inside the rail: push it off the centre line within the board plane
+            const line = this.railPoint;
+            let nx = ball.position[0] - line[0];
+            let ny = ball.position[1] - line[1];
+            const lineDistance = Math.sqrt(nx * nx + ny * ny);
+            if (lineDistance > 0) {
+                nx /= lineDistance;
+                ny /= lineDistance;
+            } else {
+                // Exactly on the centre line: use the segment's left-hand normal
+                const a = rail.points[line[2]];
+                const b = rail.points[line[2] + 1];
+                const length = Math.hypot(b[0] - a[0], b[1] - a[1]) || 1;
+                nx = -(b[1] - a[1]) / length;
+                ny = (b[0] - a[0]) / length;
+            }
+            return this.resolveContact(ball, rail, nx, ny, 0, rail.radius - lineDistance + ball.radius);
         }
+        return NO_CONTACT;
     }
 }
 
@@ -195,7 +1414,19 @@ export class PhysicsBody {
         this.type = options.type || 'sphere';
         this.onCollision = null;
         this.onScore = null;
+        this.onSleep = null;
         this.userData = options.userData || {};
+        this.material = options.material || null; // Material; may be swapped at any time
+
+        // Kinematic bodies: kinematic(time, body) sets the transform each substep
+        this.isKinematic = options.isKinematic || false;
+        this.kinematic = options.kinematic || null;
+
+        // Trigger volumes: no contact response, just enter/exit callbacks (body, trigger)
+        this.isTrigger = options.isTrigger || false;
+        this.onEnter = options.onEnter || null;
+        this.onExit = options.onExit || null;
+        this.overlapping = new Map(); // body -> stamp of the last pass it was seen in
         
         // For box collision
         if (options.min && options.max) {
@@ -203,7 +1434,103 @@ export class PhysicsBody {
             this.max = options.max;
         }
         
-        // For cylinder
+        // For oriented boxes: half size along each local axis, rotated by orientation about position
+        if (options.halfExtents) {
+            this.halfExtents = options.halfExtents;
+        }
+
+        // For rails: polyline of [x, y] points in the board plane, thickened to radius
+        // and extruded along Z over depth (centred on position[2])
+        if (options.points) {
+            this.points = options.points;
+            this.depth = options.depth || 1;
+        }
+
+        // For cylinder and capsule: length along the (unit) axis, centred on position
         this.height = options.height || 1;
+        this.axis = vec3.normalize([0, 0, 0], options.axis || [0, 1, 0]);
+
+        // Rotational state: world-space angular velocity (spheres) and orientation quaternion
+        // (spheres and oriented boxes)
+        this.angularVelocity = options.angularVelocity || [0, 0, 0];
+        this.orientation = options.orientation || [0, 0, 0, 1];
+
+        // Sleep tracking
+        this.isSleeping = false;
+        this.restTime = 0;
+        this.restAnchor = [...this.position];
+    }
+
+    /**
+     * Axis-aligned bounds of the collider
+     * @returns {{min: number[], max: number[]}}
+     */
+    getBounds() {
+        if (this.type === 'box') {
+            return { min: this.min, max: this.max };
+        }
+
+        const p = this.position;
+        const r = this.radius;
+        if (this.type === 'orientedBox') {
+            // Each rotated local axis contributes |axis_i| * halfExtent along world axis i
+            const min = [p[0], p[1], p[2]];
+            const max = [p[0], p[1], p[2]];
+            const axis = [0, 0, 0];
+            for (let j = 0; j < 3; j++) {
+                axis[0] = j === 0 ? 1 : 0;
+                axis[1] = j === 1 ? 1 : 0;
+                axis[2] = j === 2 ? 1 : 0;
+                quat.rotateVector(axis, this.orientation, axis);
+                for (let i = 0; i < 3; i++) {
+                    const extent = Math.abs(axis[i]) * this.halfExtents[j];
+                    min[i] -= extent;
+                    max[i] += extent;
+                }
+            }
+            return { min, max };
+        }
+
+        if (this.type === 'rail') {
+            const min = [Infinity, Infinity, p[2] - this.depth / 2];
+            const max = [-Infinity, -Infinity, p[2] + this.depth / 2];
+            for (const point of this.points) {
+                min[0] = Math.min(min[0], point[0] - r);
+                min[1] = Math.min(min[1], point[1] - r);
+                max[0] = Math.max(max[0], point[0] + r);
+                max[1] = Math.max(max[1], point[1] + r);
+            }
+            return { min, max };
+        }
+
+        if (this.type === 'cylinder' || this.type === 'capsule') {
+            const halfHeight = this.height / 2;
+            const a = this.axis;
+            const min = [0, 0, 0];
+            const max = [0, 0, 0];
+            for (let i = 0; i < 3; i++) {
+                // A disc of radius r perpendicular to the axis spans r * sqrt(1 - a_i^2) along axis i
+                const discExtent = this.type === 'capsule' ? r : r * Math.sqrt(Math.max(0, 1 - a[i] * a[i]));
+                const extent = halfHeight * Math.abs(a[i]) + discExtent;
+                min[i] = p[i] - extent;
+                max[i] = p[i] + extent;
+            }
+            return { min, max };
+        }
+
+        return {
+            min: [p[0] - r, p[1] - r, p[2] - r],
+            max: [p[0] + r, p[1] + r, p[2] + r]
+        };
+    }
+
+    getInverseMass() {
+        return this.isStatic || this.isSleeping || this.mass <= 0 ? 0 : 1 / this.mass;
+    }
+
+    getInverseInertia() {
+        // Solid sphere: I = 2/5 m r^2
+        if (this.isStatic || this.isSleeping || this.mass <= 0) return 0;
+        return 1 / (0.4 * this.mass * this.radius * this.radius);
     }
 }
@@ -0,0 +1,77 @@
+/**
+ * Seeded pseudo-random number generator
+ * Deterministic replacement for Math.random() so simulations can be replayed
+ */
+
+export class SeededRandom {
+    constructor(seed = SeededRandom.randomSeed()) {
+        this.setSeed(seed);
+    }
+
+    /**
+     * Generate a fresh 32-bit seed from Math.random()
+     * @returns {number} Unsigned 32-bit integer seed
+     */
+    static randomSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+
+    /**
+     * Reset the generator to the start of the sequence for a seed
+     * @param {number|string} seed - Integer seed, or a non-numeric string that is hashed to one
+     */
+    setSeed(seed) {
+        const isText = typeof seed === 'string' && !/^\d+$/.test(seed);
+        this.seed = isText ? SeededRandom.hashString(seed) : (Number(seed) >>> 0);
+        this.state = this.seed;
+    }
+
+    /**
+     * Position in the sequence, for save states
+     * @returns {{seed: number, state: number}}
+     */
+    getState() {
+        return { seed: this.seed, state: this.state };
+    }
+
+    /**
+     * Resume from a getState() snapshot
+     * @param {{seed: number, state: number}} snapshot
+     */
+    setState(snapshot) {
+        this.seed = snapshot.seed >>> 0;
+        this.state = snapshot.state >>> 0;
+    }
+
+    /**
+     * Next value in [0, 1) (mulberry32)
+     * @returns {number}
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Uniform value in [min, max)
+     * @param {number} min
+     * @param {number} max
+     * @returns {number}
+     */
+    range(min, max) {
+        return min + (max - min) * this.next();
+    }
+
+    static hashString(str) {
+        // FNV-1a
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < str.length; i++) {
+            hash ^= str.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+}
@@ -0,0 +1,262 @@
+/**
+ * Worker Physics Proxy
+ * Stands in for Physics on the main thread while the simulation runs in
+ * physics-worker.js; frames come back as a transferable transform buffer
+ */
+
+import { SeededRandom } from './random.js';
+
+// Proxy configuration constants
+const FIXED_TIME_STEP = 1 / 60;
+const INITIAL_BALL_CAPACITY = 64;
+const FLOATS_PER_BALL = 8; // id (written as a Uint32), position xyz, orientation xyzw
+
+// What gives a static body its shape; updateStaticBody() sends these to the worker
+const SHAPE_FIELDS = ['position', 'radius', 'height', 'axis', 'min', 'max', 'halfExtents', 'orientation', 'points', 'depth'];
+
+export class WorkerPhysics {
+    constructor(options = {}) {
+        this.isRemote = true;
+        this.rng = options.rng || new SeededRandom();
+        this.fixedTimeStep = options.fixedTimeStep || FIXED_TIME_STEP;
+        this.time = 0; // Simulation time of the latest frame (drives windmill rendering)
+
+        // The machine still builds its board against this object; the bodies are
+        // kept for rendering and bookkeeping but never simulated here
+        this.bodies = [];
+        this.staticBodies = [];
+        this.kinematicBodies = [];
+        this.triggers = [];
+        this.forceFields = [];
+
+        this.stats = { steps: 0, broadphaseQueries: 0, narrowphaseTests: 0, sweepTests: 0 };
+
+        // One buffer ping-pongs between threads: it is either out with the worker or held here
+        this.buffer = new Float32Array(INITIAL_BALL_CAPACITY * FLOATS_PER_BALL).buffer;
+        this.pendingDelta = 0;
+        this.frame = null;
+        this.started = false;
+
+        // Bumped by reset and restore so frames simulated before them are recognised and dropped
+        this.generation = 0;
+        this.pendingSnapshots = [];
+
+        this.worker = options.worker ||
+            new Worker(new URL('./physics-worker.js', import.meta.url), { type: 'module' });
+        this.worker.onmessage = (event) => this.receive(event.data);
+        this.worker.onerror = (event) => console.error('Physics worker error:', event.message);
+    }
+
+    /**
+     * Build the worker's own copy of the board
+     * @param {Object} options - seed and machineOptions for the worker's PachinkoMachine
+     */
+    start(options) {
+        this.worker.postMessage({
+            type: 'init',
+            seed: options.seed,
+            fixedTimeStep: this.fixedTimeStep,
+            machineOptions: options.machineOptions
+        });
+        this.started = true;
+    }
+
+    configure(machineOptions) {
+        if (!this.started) return; // Picked up by start() instead
+        this.worker.postMessage({ type: 'configure', machineOptions });
+    }
+
+    launch(id, power) {
+        this.worker.postMessage({ type: 'launch', id, power });
+    }
+
+    reset(seed) {
+        this.discardFrames();
+        this.time = 0;
+        this.worker.postMessage({ type: 'reset', seed, generation: this.generation });
+    }
+
+    /**
+     * Ask the worker for its machine's serialize() snapshot
+     * @returns {Promise<Object>}
+     */
+    serializeMachine() {
+        return new Promise((resolve) => {
+            this.pendingSnapshots.push(resolve);
+            this.worker.postMessage({ type: 'serialize' });
+        });
+    }
+
+    /**
+     * Restore the worker's machine from a snapshot
+     * @param {Object} state - PachinkoMachine.serialize() output
+     */
+    restoreMachine(state) {
+        this.discardFrames();
+        this.time = state.physics.time;
+        this.rng.setState(state.physics.rng);
+        this.worker.postMessage({ type: 'restore', state, generation: this.generation });
+    }
+
+    discardFrames() {
+        this.generation++;
+        this.pendingDelta = 0;
+        if (this.frame) {
+            // Drop the stale frame but keep its buffer for the next step
+            this.releaseFrame(this.takeFrame());
+        }
+    }
+
+    /**
+     * Ask the worker to advance by the accumulated real time
+     * At most one step is in flight; time that passes meanwhile is sent with the next one
+     * @param {number} deltaTime - Frame time in seconds
+     */
+    update(deltaTime) {
+        this.pendingDelta += deltaTime;
+        if (!this.started || !this.buffer) return 0;
+
+        const buffer = this.buffer;
+        this.buffer = null;
+        this.worker.postMessage({ type: 'step', deltaTime: this.pendingDelta, buffer }, [buffer]);
+        this.pendingDelta = 0;
+        return 0;
+    }
+
+    receive(message) {
+        if (message.type === 'state') {
+            this.pendingSnapshots.shift()(message.state);
+            return;
+        }
+        if (message.type !== 'frame') return;
+
+        if (message.generation !== this.generation) {
+            // Simulated before a reset or restore: only the buffer is still useful
+            this.buffer = message.buffer;
+            return;
+        }
+
+        // Only one step is ever in flight, so the previous frame has already been released
+        this.frame = {
+            transforms: new Float32Array(message.buffer),
+            ids: new Uint32Array(message.buffer), // Same buffer: the id slot of each ball read as an integer
+            count: message.count,
+            events: message.events,
+            lostCount: message.lostCount,
+            drainedCount: message.drainedCount,
+            foulCount: message.foulCount
+        };
+        this.time = message.time;
+        this.stats = message.stats;
+    }
+
+    /**
+     * Latest frame from the worker, or null if none arrived since the last call
+     * Hand it back with releaseFrame() so its buffer can carry the next step
+     * @returns {Object|null} { transforms, ids, count, events, lostCount, drainedCount, foulCount }
+     */
+    takeFrame() {
+        const frame = this.frame;
+        this.frame = null;
+        return frame;
+    }
+
+    releaseFrame(frame) {
+        this.buffer = frame.transforms.buffer;
+    }
+
+    terminate() {
+        this.worker.terminate();
+        this.started = false;
+    }
+
+    // Board bookkeeping; the worker holds the simulated copies. Both machines build the board in
+    // the same order, so a board body is matched with the worker's copy by its index in its list
+
+    addBody(body) {
+        this.bodies.push(body);
+        return body;
+    }
+
+    removeBody(body) {
+        const index = this.bodies.indexOf(body);
+        if (index !== -1) {
+            this.bodies.splice(index, 1);
+        }
+    }
+
+    clearBodies() {
+        this.bodies = [];
+    }
+
+    addStaticBody(body) {
+        this.staticBodies.push(body);
+        return body;
+    }
+
+    removeStaticBody(body) {
+        this.removeFrom('staticBodies', body);
+    }
+
+    /**
+     * Send a static body's new shape to the worker's copy after moving or resizing it
+     * @param {PhysicsBody} body
+     */
+    updateStaticBody(body) {
+        const index = this.staticBodies.indexOf(body);
+        if (index === -1 || !this.started) return;
+
+        const shape = {};
+        for (const field of SHAPE_FIELDS) {
+            if (body[field] !== undefined) {
+                shape[field] = body[field];
+            }
+        }
+        this.worker.postMessage({ type: 'updateStaticBody', index, shape });
+    }
+
+    addKinematicBody(body) {
+        body.isKinematic = true;
+        this.kinematicBodies.push(body);
+        return body;
+    }
+
+    removeKinematicBody(body) {
+        this.removeFrom('kinematicBodies', body);
+    }
+
+    addForceField(field) {
+        this.forceFields.push(field);
+        return field;
+    }
+
+    removeForceField(field) {
+        this.removeFrom('forceFields', field);
+    }
+
+    addTrigger(trigger) {
+        trigger.isTrigger = true;
+        this.triggers.push(trigger);
+        return trigger;
+    }
+
+    removeTrigger(trigger) {
+        this.removeFrom('triggers', trigger);
+    }
+
+    // Drop a board body here and have the worker drop its copy. Before start() the worker has no
+    // board yet; it builds its own from the same code, removals included
+    removeFrom(list, item) {
+        const index = this[list].indexOf(item);
+        if (index === -1) return;
+        this[list].splice(index, 1);
+        if (this.started) {
+            this.worker.postMessage({ type: 'remove', list, index });
+        }
+    }
+
+    // Bodies sleep and triggers fire in the worker
+    wake() {}
+
+    resetTrigger() {}
+}
@@ -0,0 +1,281 @@
+/**
+ * Headless Pachinko Simulation
+ * Launches many balls through the board without a renderer and reports
+ * pocket hit rates, payback (balls paid out per ball that reached the board), fouls, lottery results and stuck/lost counts
+ *
+ * Usage: node tools/simulate.js [--balls 1000] [--seed 1] [--power 0.5] [--spread 0.1]
+ *                               [--distribution uniform|normal|fixed] [--interval 0.6]
+ *                               [--settle 30] [--stuck nudge|redrop|lost] [--format json|csv]
+ *                               [--board boards/default.json] [--nail-seed 1]
+ */
+
+import { Physics } from '../src/physics.js';
+import { PachinkoMachine } from '../src/pachinko.js';
+import { SeededRandom } from '../src/random.js';
+import { loadBoard } from '../src/board.js';
+import { ReelLottery } from '../src/lottery.js';
+import { resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+
+// Simulation defaults
+const DEFAULT_OPTIONS = {
+    balls: 1000,
+    seed: 1,
+    power: 0.5,
+    spread: 0.1,
+    distribution: 'uniform',
+    interval: 0.6, // Seconds between launches (~100 balls per minute)
+    settle: 30, // Seconds to keep simulating after the last launch
+    stuck: 'nudge',
+    format: 'json',
+    board: null, // Board JSON file; the machine's default board without one
+    nailSeed: null // Replaces the board's nails.seed, for trying other layouts of its nail patterns
+};
+const DISTRIBUTIONS = ['uniform', 'normal', 'fixed'];
+const FORMATS = ['json', 'csv'];
+
+function parseArgs(argv) {
+    const options = { ...DEFAULT_OPTIONS };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--help' || arg === '-h') {
+            options.help = true;
+            continue;
+        }
+        if (!arg.startsWith('--')) {
+            throw new Error(`Unexpected argument "${arg}"`);
+        }
+
+        const key = arg.slice(2).replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+        if (!(key in DEFAULT_OPTIONS)) {
+            throw new Error(`Unknown option "${arg}"`);
+        }
+        const value = argv[++i];
+        if (value === undefined) {
+            throw new Error(`Missing value for "${arg}"`);
+        }
+
+        if ((typeof DEFAULT_OPTIONS[key] === 'number' && key !== 'seed') || key === 'nailSeed') {
+            options[key] = Number(value);
+            if (!Number.isFinite(options[key])) {
+                throw new Error(`"${arg}" expects a number, got "${value}"`);
+            }
+        } else {
+            options[key] = value;
+        }
+    }
+
+    if (!DISTRIBUTIONS.includes(options.distribution)) {
+        throw new Error(`--distribution must be one of ${DISTRIBUTIONS.join(', ')}`);
+    }
+    if (!FORMATS.includes(options.format)) {
+        throw new Error(`--format must be one of ${FORMATS.join(', ')}`);
+    }
+    if (options.nailSeed !== null && !Number.isInteger(options.nailSeed)) {
+        throw new Error('--nail-seed expects a whole number');
+    }
+
+    return options;
+}
+
+function samplePower(options, rng) {
+    let power = options.power;
+    if (options.distribution === 'uniform') {
+        power += (rng.next() * 2 - 1) * options.spread;
+    } else if (options.distribution === 'normal') {
+        // Box-Muller
+        const u = 1 - rng.next();
+        const v = rng.next();
+        power += Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v) * options.spread;
+    }
+    return Math.max(0, Math.min(1, power));
+}
+
+/**
+ * Run one simulation session
+ * @param {Object} options - Parsed command line options
+ * @returns {Promise<Object>} Report
+ */
+async function simulate(options) {
+    const rng = new SeededRandom(options.seed);
+    // Power draws get their own stream so tuning the board never changes which shots are fired
+    const powerRng = new SeededRandom(`${options.seed}:power`);
+
+    const board = await loadBoard(options.board ? pathToFileURL(resolve(options.board)) : undefined);
+    if (options.nailSeed !== null) {
+        board.nails.seed = options.nailSeed;
+    }
+
+    const physics = new Physics({ rng });
+    const machine = new PachinkoMachine(null, physics, rng, {
+        board,
+        stuckPolicy: options.stuck,
+        clearScoredBalls: true
+    });
+    await machine.init();
+
+    // Hits per pocket, by pocket type
+    const hits = {
+        slot: machine.slots.map(() => 0),
+        tulip: machine.tulips.map(() => 0),
+        start: [0],
+        attacker: [0]
+    };
+    const stuckActions = { nudge: 0, redrop: 0, lost: 0 };
+    let paidOut = 0;
+    machine.onBallStuck = (ball, action) => {
+        stuckActions[action]++;
+    };
+
+    // The lottery runs as in the game, so fevers open the attacker
+    const lottery = machine.board.lottery
+        ? new ReelLottery(machine.board.lottery, new SeededRandom(`${options.seed}:lottery`))
+        : null;
+    let feverSeconds = 0;
+    if (lottery) {
+        lottery.onStateChange = (state, previous) => {
+            if (state === 'fever') {
+                machine.setAttackerOpen(true);
+            } else if (previous === 'fever') {
+                machine.setAttackerOpen(false);
+            }
+        };
+    }
+    const advance = () => {
+        physics.update(dt);
+        machine.update(dt);
+        if (lottery) {
+            lottery.update(dt);
+            if (lottery.state === 'fever') {
+                feverSeconds += dt;
+            }
+        }
+    };
+
+    const dt = physics.fixedTimeStep;
+    const stepsPerLaunch = Math.max(1, Math.round(options.interval / dt));
+    let launched = 0;
+    let step = 0;
+
+    while (launched < options.balls) {
+        if (step % stepsPerLaunch === 0) {
+            const ball = machine.launchBall(samplePower(options, powerRng));
+            ball.onScore = (payout, pocket) => {
+                paidOut += payout;
+                hits[pocket.type][pocket.index]++;
+                if (pocket.type === 'start' && lottery) {
+                    lottery.hold();
+                }
+            };
+            launched++;
+        }
+        advance();
+        step++;
+    }
+
+    // Let the last balls finish their fall
+    const settleSteps = Math.round(options.settle / dt);
+    for (let i = 0; i < settleSteps && machine.balls.length > 0; i++) {
+        advance();
+    }
+
+    const pocketReport = (pocket) => pocket && {
+        payout: pocket.payout,
+        hits: hits[pocket.type][pocket.index],
+        rate: hits[pocket.type][pocket.index] / options.balls
+    };
+
+    return {
+        board: machine.board.name,
+        seed: options.seed,
+        nailSeed: machine.board.nails.seed,
+        nails: machine.pins.length,
+        balls: options.balls,
+        power: { mean: options.power, spread: options.spread, distribution: options.distribution },
+        stuckPolicy: options.stuck,
+        slots: machine.slots.map((slot, i) => ({ slot: i, ...pocketReport(slot) })),
+        tulips: machine.tulips.map((tulip, i) => ({ tulip: i, ...pocketReport(tulip) })),
+        startPocket: pocketReport(machine.startPocket),
+        attacker: pocketReport(machine.attacker),
+        lottery: lottery && { ...lottery.stats, feverSeconds },
+        scored: Object.values(hits).flat().reduce((sum, count) => sum + count, 0),
+        paidOut,
+        // Fouls go back to the tray, so only balls that reached the board were really spent
+        payback: paidOut / Math.max(1, options.balls - machine.foulCount),
+        fouls: machine.foulCount,
+        stuck: stuckActions,
+        lost: machine.lostCount,
+        drained: machine.drainedCount,
+        unresolved: machine.balls.length,
+        simulatedSeconds: step * dt
+    };
+}
+
+function toCsv(report) {
+    const lines = ['slot,payout,hits,rate'];
+    for (const slot of report.slots) {
+        lines.push(`${slot.slot},${slot.payout},${slot.hits},${slot.rate.toFixed(6)}`);
+    }
+    if (report.tulips.length > 0) {
+        lines.push('');
+        lines.push('tulip,payout,hits,rate');
+        for (const tulip of report.tulips) {
+            lines.push(`${tulip.tulip},${tulip.payout},${tulip.hits},${tulip.rate.toFixed(6)}`);
+        }
+    }
+    const pockets = ['startPocket', 'attacker'].filter(name => report[name]);
+    if (pockets.length > 0) {
+        lines.push('');
+        lines.push('pocket,payout,hits,rate');
+        for (const name of pockets) {
+            lines.push(`${name},${report[name].payout},${report[name].hits},${report[name].rate.toFixed(6)}`);
+        }
+    }
+    lines.push('');
+    lines.push('metric,value');
+    lines.push(`board,${report.board}`);
+    lines.push(`seed,${report.seed}`);
+    lines.push(`nail_seed,${report.nailSeed}`);
+    lines.push(`nails,${report.nails}`);
+    lines.push(`balls,${report.balls}`);
+    lines.push(`scored,${report.scored}`);
+    lines.push(`paid_out,${report.paidOut}`);
+    lines.push(`payback,${report.payback.toFixed(4)}`);
+    lines.push(`fouls,${report.fouls}`);
+    if (report.lottery) {
+        lines.push(`spins,${report.lottery.spins}`);
+        lines.push(`reaches,${report.lottery.reaches}`);
+        lines.push(`jackpots,${report.lottery.jackpots}`);
+        lines.push(`kakuhen_jackpots,${report.lottery.kakuhenJackpots}`);
+        lines.push(`held_overflow,${report.lottery.overflow}`);
+        lines.push(`fever_seconds,${report.lottery.feverSeconds.toFixed(1)}`);
+    }
+    lines.push(`nudged,${report.stuck.nudge}`);
+    lines.push(`redropped,${report.stuck.redrop}`);
+    lines.push(`lost,${report.lost}`);
+    lines.push(`drained,${report.drained}`);
+    lines.push(`unresolved,${report.unresolved}`);
+    return lines.join('\n');
+}
+
+async function main() {
+    try {
+        const options = parseArgs(process.argv.slice(2));
+
+        if (options.help) {
+            console.log('Usage: node tools/simulate.js [--balls N] [--seed S] [--power 0..1] [--spread S]');
+            console.log('       [--distribution uniform|normal|fixed] [--interval seconds] [--settle seconds]');
+            console.log('       [--stuck nudge|redrop|lost] [--format json|csv] [--board file.json] [--nail-seed S]');
+            return;
+        }
+
+        const report = await simulate(options);
+        console.log(options.format === 'csv' ? toCsv(report) : JSON.stringify(report, null, 2));
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 1;
+    }
+}
+
+main();